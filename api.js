@@ -7,6 +7,15 @@ function doPost(e) {
     return handleRequest(e, 'POST');
 }
 
+/**
+ * Handles GET requests to the web app
+ * @param {Object} e - The event object from Apps Script
+ * @returns {TextOutput} JSON response
+ */
+function doGet(e) {
+    return handleRequest(e, 'GET');
+}
+
 /**
  * Creates a standardized success response
  * @param {Object} data - The data to return
@@ -24,14 +33,18 @@ function createSuccessResponse(data) {
  * Creates a standardized error response
  * @param {string} error - Error message
  * @param {number} [statusCode=400] - HTTP status code
+ * @param {Array<Object>} [errors=null] - Field level errors ({ field, code, message })
+ * @param {Object} [extra=null] - Additional top level fields, e.g. { retryAfter }
  * @returns {TextOutput} JSON formatted error response
  */
-function createErrorResponse(error, statusCode = 400) {
-    Logger.log("ERROR DATA: " + error);
+function createErrorResponse(error, statusCode = 400, errors = null, extra = null) {
+    Logger.log("ERROR DATA: " + error + (errors ? " " + JSON.stringify(errors) : ""));
     return ContentService.createTextOutput(JSON.stringify({
         status: 'error',
         message: error,
-        code: statusCode
+        code: statusCode,
+        ...(errors && { errors: errors }),
+        ...(extra || {})
     })).setMimeType(ContentService.MimeType.JSON);
 }
 
@@ -45,9 +58,9 @@ function handleRequest(e, method) {
     try {
         Logger.log("[API] Incoming Request...");
         
-        // 1. Coba ambil Path dari URL Parameter (?path=/...)
-        let path =  e.parameter?.path || '';
-        Logger.log(`[API] Path from URL param: "${path}"`);
+        // 1. Coba ambil Path dari URL Parameter (?path=/...) atau path setelah /exec
+        let path = e.parameter?.path || (e.pathInfo ? `/${e.pathInfo}` : '');
+        Logger.log(`[API] Path from URL: "${path}"`);
 
         // 2. Jika Path kosong, coba intip JSON Body (Payload)
         // Ini untuk mendukung request dari Child Script yang mengirim { action: 'update_workload' }
@@ -57,8 +70,9 @@ function handleRequest(e, method) {
                 const body = JSON.parse(e.postData.contents);
                 Logger.log(`[API] Body Action: "${body.action}"`);
 
-                if (body.action === 'update_workload') {
-                    path = '/update_workload'; // Mapping Action ke Path
+                const actionPaths = getApiActionPaths();
+                if (actionPaths[body.action]) {
+                    path = actionPaths[body.action]; // Mapping Action ke Path
                     Logger.log(`[API] Path derived from Action: "${path}"`);
                 }
             } catch (err) {
@@ -66,22 +80,56 @@ function handleRequest(e, method) {
             }
         }
 
-        // 3. Define available endpoints
-        const endpoints = {
-            POST: {
-                '/request': handleRequestSubmission,
-                '/update_workload': handleWorkloadUpdate, // Pastikan handler ini ada
-            }
-        };
+        // Link persetujuan dari email: token sendiri yang menjadi kredensial
+        if (path === APPROVAL_LINK_PATH) {
+            return handleApprovalLink(e, method);
+        }
+
+        // 3. Versi API dari prefix path (/v1, /v2); tanpa prefix = API_DEFAULT_VERSION
+        const { version, path: routePath, isValid: isValidVersion } = parseApiVersion(path);
+        if (!isValidVersion) {
+            return createErrorResponse(`Unsupported API version: ${version}`, 404);
+        }
+
+        // 4. Cari endpoint di registry (configs/api_endpoints.js)
+        const route = findApiEndpoint(method, routePath);
+        if (!route) {
+            return adaptApiResponse(createErrorResponse(`Invalid endpoint: ${method} ${routePath}`, 404), version);
+        }
+        if (route.errors) {
+            return adaptApiResponse(createErrorResponse('Invalid path parameter.', 400, route.errors), version, route.endpoint);
+        }
+        const { endpoint } = route;
+        e.pathParams = route.pathParams;
+        e.apiVersion = version;
+
+        if (endpoint.public) {
+            Logger.log(`[API] Routing to public handler for: ${endpoint.path}`);
+            return endpoint.handler(e);
+        }
 
-        // 4. Validasi Akhir
-        if (!endpoints[method] || !endpoints[method][path]) {
-            return createErrorResponse(`Invalid endpoint: ${method} ${path}`, 404);
+        // 5. Autentikasi client & scope (signature dihitung atas path asli, termasuk prefix versi)
+        const auth = authenticateApiRequest(e, method, path, endpoint.scope);
+        if (!auth.isValid) {
+            return adaptApiResponse(createErrorResponse(auth.error, auth.code), version, endpoint);
         }
+        e.apiClient = auth.client;
 
-        // 5. Eksekusi Handler
-        Logger.log(`[API] Routing to handler for: ${path}`);
-        return endpoints[method][path](e);
+        // 6. Rate limit per client & endpoint
+        const rate = checkRateLimit(auth.client.clientId, endpoint);
+        if (!rate.allowed) {
+            return adaptApiResponse(
+                createErrorResponse(rate.error, 429, null, { retryAfter: rate.retryAfter }), version, endpoint
+            );
+        }
+
+        // 7. Adapter versi lama -> handler terkini, lalu eksekusi handler
+        const adaptErrors = adaptApiRequest(e, version, endpoint);
+        if (adaptErrors) {
+            return adaptApiResponse(createErrorResponse('Invalid parameters.', 400, adaptErrors), version, endpoint);
+        }
+        Logger.log(`[API] Routing to handler for: ${version} ${endpoint.path} (client: ${auth.client.clientId})`);
+        return adaptApiResponse(endpoint.handler(e), version, endpoint);
 
     } catch (error) {
         Logger.log(`[API Critical Error] ${error.toString()}`);
@@ -89,8 +137,19 @@ function handleRequest(e, method) {
     }
 }
 
+/**
+ * Serves the OpenAPI document built from the endpoint registry (GET ?path=/openapi.json)
+ * @param {Object} e - The event object
+ * @returns {TextOutput} OpenAPI 3 JSON document
+ */
+function handleOpenApiDocument(e) {
+    return ContentService.createTextOutput(JSON.stringify(buildOpenApiDocument()))
+        .setMimeType(ContentService.MimeType.JSON);
+}
+
 /**
  * Handles workload update requests from Child Script
+ * Body (v2): { agent, deltaSeconds }; v1 { mdmName, seconds, reason } is mapped by API_VERSION_ADAPTERS
  * @param {Object} e - The event object
  * @returns {TextOutput} JSON response
  */
@@ -101,27 +160,37 @@ function handleWorkloadUpdate(e) {
         const payload = JSON.parse(e.postData.contents);
 
         // Validasi Payload
-        if (!payload.mdmName || payload.seconds === undefined) {
-            return createErrorResponse("Invalid parameters: mdmName and seconds are required.", 400);
+        if (!payload.agent || payload.deltaSeconds === undefined) {
+            return createErrorResponse("Invalid parameters: agent and deltaSeconds are required.", 400);
         }
 
-        const mdmName = payload.mdmName;
-        const seconds = Number(payload.seconds);
+        const agent = payload.agent;
+        const deltaSeconds = Number(payload.deltaSeconds);
+
+        if (isNaN(deltaSeconds)) {
+             return createErrorResponse("Invalid parameters: deltaSeconds must be a number.", 400);
+        }
 
-        if (isNaN(seconds)) {
-             return createErrorResponse("Invalid parameters: seconds must be a number.", 400);
+        const reason = payload.reason || WorkloadLedgerReason.ADJUSTED;
+        if (!Object.values(WorkloadLedgerReason).includes(reason)) {
+            return createErrorResponse(`Invalid parameters: reason must be one of ${Object.values(WorkloadLedgerReason).join(', ')}.`, 400);
         }
 
-        // Panggil fungsi internal update property (Pastikan fungsi ini ada di Master/WorkloadManager)
-        //
-        const newTotal = updateMdmWorkloadProperty(mdmName, seconds);
+        // Setiap perubahan dicatat di WORKLOAD LEDGER (lihat utils/workload_manager.js)
+        const totalSeconds = updateMdmWorkloadProperty(
+            agent,
+            deltaSeconds,
+            reason,
+            payload.requestNumber || null,
+            e.apiClient ? e.apiClient.clientId : null
+        );
 
-        Logger.log(`[handleWorkloadUpdate] Success. ${mdmName} new total: ${newTotal}`);
+        Logger.log(`[handleWorkloadUpdate] Success. ${agent} new total: ${totalSeconds}`);
 
         return createSuccessResponse({
             message: "Workload updated successfully",
-            mdmName: mdmName,
-            newTotal: newTotal
+            agent: agent,
+            totalSeconds: totalSeconds
         });
 
     } catch (error) {
@@ -130,13 +199,313 @@ function handleWorkloadUpdate(e) {
     }
 }
 
+/**
+ * Handle release of the workload still booked for a request (terminal states, send back)
+ * @param {Object} e - The event object containing the request data
+ * @returns {TextOutput} JSON response
+ */
+function handleWorkloadRelease(e) {
+    try {
+        const payload = JSON.parse(e.postData.contents);
+
+        if (!payload.requestNumber || !payload.reason) {
+            return createErrorResponse("Invalid parameters: requestNumber and reason are required.", 400);
+        }
+        if (!Object.values(WorkloadLedgerReason).includes(payload.reason)) {
+            return createErrorResponse(`Invalid parameters: reason must be one of ${Object.values(WorkloadLedgerReason).join(', ')}.`, 400);
+        }
+
+        const remainingSeconds = payload.remainingSeconds === undefined ? 0 : Number(payload.remainingSeconds);
+        if (isNaN(remainingSeconds) || remainingSeconds < 0) {
+            return createErrorResponse("Invalid parameters: remainingSeconds must be a positive number.", 400);
+        }
+
+        const result = releaseRequestWorkload(
+            payload.requestNumber,
+            payload.reason,
+            remainingSeconds,
+            e.apiClient ? e.apiClient.clientId : null
+        );
+
+        Logger.log(`[handleWorkloadRelease] ${payload.requestNumber} (${payload.reason}): released ${result.releasedSeconds}s`);
+
+        return createSuccessResponse({
+            message: result.releasedSeconds > 0 ? "Workload released successfully" : "Nothing left to release",
+            requestNumber: result.requestNumber,
+            releasedSeconds: result.releasedSeconds,
+            released: result.released
+        });
+
+    } catch (error) {
+        Logger.log(`[handleWorkloadRelease] Error: ${error.message}`);
+        return createErrorResponse(error.message, 500);
+    }
+}
+
+/**
+ * Handles request status lookup (GET ?path=/request_status&requestNumber=...
+ * or POST { action: 'request_status', requestNumber })
+ * @param {Object} e - The event object
+ * @returns {TextOutput} JSON response
+ */
+function handleRequestStatus(e) {
+    try {
+        let requestNumber = e.parameter?.requestNumber;
+
+        if (!requestNumber && e.postData && e.postData.contents) {
+            const payload = JSON.parse(e.postData.contents);
+            requestNumber = payload.requestNumber;
+        }
+
+        if (!requestNumber) {
+            return createErrorResponse("Invalid parameters: requestNumber is required.", 400);
+        }
+
+        requestNumber = String(requestNumber).trim();
+        Logger.log(`[handleRequestStatus] Looking up ${requestNumber}`);
+
+        const status = getRequestStatus(requestNumber);
+        if (!status) {
+            return createErrorResponse(`Request ${requestNumber} not found.`, 404);
+        }
+
+        return createSuccessResponse(status);
+
+    } catch (error) {
+        Logger.log(`[handleRequestStatus] Error: ${error.message}`);
+        return createErrorResponse(error.message, 500);
+    }
+}
+
+/**
+ * Handles allocation decision lookups (GET ?path=/request/{requestNumber}/allocation
+ * or { action: 'allocation_decision', requestNumber, all })
+ * @param {Object} e - The event object
+ * @returns {TextOutput} JSON response
+ */
+function handleAllocationDecision(e) {
+    try {
+        const payload = e.postData && e.postData.contents ? JSON.parse(e.postData.contents) : {};
+        const requestNumber = String(e.pathParams?.requestNumber || e.parameter?.requestNumber || payload.requestNumber || '').trim();
+        const all = String(e.parameter?.all ?? payload.all ?? false) === 'true';
+
+        if (!requestNumber) {
+            return createErrorResponse("Invalid parameters: requestNumber is required.", 400);
+        }
+
+        const decisions = getAllocationDecisions(requestNumber);
+        if (decisions.length === 0) {
+            return createErrorResponse(`No allocation decision recorded for ${requestNumber}.`, 404);
+        }
+
+        return createSuccessResponse({
+            requestNumber: requestNumber,
+            decision: decisions[decisions.length - 1],
+            ...(all && { history: decisions })
+        });
+
+    } catch (error) {
+        Logger.log(`[handleAllocationDecision] Error: ${error.message}`);
+        return createErrorResponse(error.message, 500);
+    }
+}
+
+/**
+ * Handles approver decisions (POST ?path=/request/{requestNumber}/decision
+ * or { action: 'request_decision', requestNumber, ... })
+ * Body: { level, decision, note, email, name }
+ * @param {Object} e - The event object
+ * @returns {TextOutput} JSON response
+ */
+function handleRequestDecision(e) {
+    try {
+        const payload = JSON.parse(e.postData.contents);
+        const requestNumber = String(e.pathParams?.requestNumber || payload.requestNumber || '').trim();
+        const level = String(payload.level || '').trim().toUpperCase();
+        const decision = payload.decision;
+        const email = String(payload.email || '').trim();
+
+        const levelCtx = ATTACHMENT_SYNC_CONTEXTS.find(ctx => ctx.levelOrder > 0 && ctx.prop === level);
+        const errors = [];
+        if (!requestNumber) {
+            errors.push({ field: 'requestNumber', code: 'required', message: 'requestNumber is required.' });
+        }
+        if (!levelCtx) {
+            const levels = ATTACHMENT_SYNC_CONTEXTS.filter(ctx => ctx.levelOrder > 0).map(ctx => ctx.prop);
+            errors.push({ field: 'level', code: 'enum', message: `level must be one of: ${levels.join(', ')}.` });
+        }
+        if (!Object.values(ApproverStatus).includes(decision)) {
+            errors.push({ field: 'decision', code: 'enum', message: `decision must be one of: ${Object.values(ApproverStatus).join(', ')}.` });
+        }
+        if (!email || validateEmails(email).valid.length !== 1) {
+            errors.push({ field: 'email', code: 'format', message: 'email must be a single valid email address.' });
+        }
+        if (errors.length > 0) {
+            return createErrorResponse('Invalid decision payload', 400, errors);
+        }
+
+        const result = recordApproverDecision(requestNumber, levelCtx, decision, email, payload.name || email, payload.note);
+        if (!result.success) {
+            return createErrorResponse(result.error, result.code);
+        }
+
+        Logger.log(`[handleRequestDecision] ${requestNumber} ${level}=${decision} by ${email} (client: ${e.apiClient?.clientId})`);
+        return createSuccessResponse({
+            message: "Decision recorded",
+            requestNumber: requestNumber,
+            level: level,
+            decision: decision,
+            request: getRequestStatus(requestNumber)
+        });
+
+    } catch (error) {
+        Logger.log(`[handleRequestDecision] Error: ${error.message}`);
+        return createErrorResponse(error.message, 500);
+    }
+}
+
+/**
+ * Handles request withdrawal by the requester (POST ?path=/request/{requestNumber}/cancel
+ * or { action: 'request_cancel', requestNumber, ... })
+ * Body: { email, reason }
+ * @param {Object} e - The event object
+ * @returns {TextOutput} JSON response
+ */
+function handleRequestCancellation(e) {
+    try {
+        const payload = JSON.parse(e.postData.contents);
+        const requestNumber = String(e.pathParams?.requestNumber || payload.requestNumber || '').trim();
+        const email = String(payload.email || '').trim();
+        const reason = payload.reason ? String(payload.reason).trim() : null;
+
+        const errors = [];
+        if (!requestNumber) {
+            errors.push({ field: 'requestNumber', code: 'required', message: 'requestNumber is required.' });
+        }
+        if (!email || validateEmails(email).valid.length !== 1) {
+            errors.push({ field: 'email', code: 'format', message: 'email must be a single valid email address.' });
+        }
+        if (errors.length > 0) {
+            return createErrorResponse('Invalid cancellation payload', 400, errors);
+        }
+
+        const result = cancelRequest(requestNumber, SystemActor.REQUESTER, reason, email);
+        if (!result.success) {
+            return createErrorResponse(result.error, result.code);
+        }
+
+        Logger.log(`[handleRequestCancellation] ${requestNumber} cancelled by ${email} (client: ${e.apiClient?.clientId})`);
+        return createSuccessResponse({
+            message: "Request cancelled",
+            requestNumber: requestNumber,
+            wasInProgress: result.wasInProgress,
+            releasedSeconds: result.releasedSeconds,
+            request: getRequestStatus(requestNumber)
+        });
+
+    } catch (error) {
+        Logger.log(`[handleRequestCancellation] Error: ${error.message}`);
+        return createErrorResponse(error.message, 500);
+    }
+}
+
+/**
+ * Cancels a request on the master activity row. Takes the same decision and row
+ * locks as recordApproverDecision so a cancellation cannot interleave with an
+ * approver decision or a trigger on the same request.
+ * @param {string} requestNumber - Request number
+ * @param {string} actor - SystemActor value written to MASTER LOG
+ * @param {string} [reason=null] - Cancellation reason
+ * @param {string} [requesterEmail=null] - When set, must match the requester
+ * @returns {Object} { success, code, error, ... }
+ */
+function cancelRequest(requestNumber, actor, reason = null, requesterEmail = null) {
+    const sheetName = getSheetNameFromRequestNumber(requestNumber);
+    const sheet = sheetName ? getMasterSpreadsheet(sheetName) : null;
+    const rowIndex = sheet ? getRowIndex(sheet, requestNumber) : -1;
+    if (rowIndex === -1) {
+        return { success: false, code: 404, error: `Request ${requestNumber} not found.` };
+    }
+
+    const lockOptions = { staleAfterMs: HANDLER_STALE_THRESHOLD_MS };
+    return withKeyLock(`decision:${requestNumber}`, 'cancelRequest', (_keyLock, keyBeat) => {
+        return withRowLock(sheet.getName(), rowIndex, 'cancelRequest', (_rowLock, rowBeat, fence) => {
+            const RequestClass = getRequestClass(sheetName);
+            const request = new RequestClass(sheet, rowIndex);
+            fence(request.activity);
+            request.setLockBeat(() => { keyBeat(); rowBeat(); });
+
+            return request.requestHandler.handleRequestCancelled(actor, reason, requesterEmail);
+        }, 1, 30000, lockOptions);
+    }, 1, 30000, KEY_LOCK_MODE.EXCLUSIVE, lockOptions);
+}
+
+/**
+ * Records an approver decision on the master activity row through the normal approval flow.
+ * Shared by the decision endpoint and the email approval links.
+ * @param {string} requestNumber - Request number
+ * @param {Object} levelCtx - ATTACHMENT_SYNC_CONTEXTS entry of the level
+ * @param {string} decision - Value from ApproverStatus
+ * @param {string} email - Approver email
+ * @param {string} name - Approver name written to the attachment
+ * @param {string} [note=null] - Approver note
+ * @returns {Object} { success, code, error }
+ */
+function recordApproverDecision(requestNumber, levelCtx, decision, email, name, note = null) {
+    if (!levelCtx) {
+        return { success: false, code: 400, error: 'Invalid approval level.' };
+    }
+
+    const sheetName = getSheetNameFromRequestNumber(requestNumber);
+    const sheet = sheetName ? getMasterSpreadsheet(sheetName) : null;
+    const rowIndex = sheet ? getRowIndex(sheet, requestNumber) : -1;
+    if (rowIndex === -1) {
+        return { success: false, code: 404, error: `Request ${requestNumber} not found.` };
+    }
+
+    // Both locks beat together while the decision runs on through handleOnInterval
+    const lockOptions = { staleAfterMs: HANDLER_STALE_THRESHOLD_MS };
+    return withKeyLock(`decision:${requestNumber}`, 'recordApproverDecision', (_keyLock, keyBeat) => {
+        return withRowLock(sheet.getName(), rowIndex, 'recordApproverDecision', (_rowLock, rowBeat, fence) => {
+            const RequestClass = getRequestClass(sheetName);
+            const request = new RequestClass(sheet, rowIndex);
+            const ctx = { ...levelCtx, status: decision, name: name };
+            fence(request.activity);
+            request.setLockBeat(() => { keyBeat(); rowBeat(); });
+
+            return request.requestHandler.handleApproverDecision(ctx, email, note);
+        }, 1, 30000, lockOptions);
+    }, 1, 30000, KEY_LOCK_MODE.EXCLUSIVE, lockOptions);
+}
+
+/**
+ * Handles payload schema lookup (GET ?path=/request_schema[&requestType=...])
+ * @param {Object} e - The event object
+ * @returns {TextOutput} JSON response
+ */
+function handleRequestSchema(e) {
+    let requestType = e.parameter?.requestType;
+
+    if (!requestType && e.postData && e.postData.contents) {
+        requestType = JSON.parse(e.postData.contents).requestType;
+    }
+
+    const schemas = getRequestPayloadSchemaDocument(requestType || null);
+    if (requestType && !schemas[requestType]) {
+        return createErrorResponse(`Unknown request type: ${requestType}`, 404);
+    }
+
+    return createSuccessResponse(schemas);
+}
 
 /**
- * Validates request payload for required fields
+ * Validates request payload against the schema of its request type
  * @param {Object} payload - Request payload
- * @returns {Object} Validation result with success flag and error message
+ * @returns {Object} Validation result with success flag, error message and field errors
  */
 function validateRequestPayload(payload) {
+    normalizePayloadAliases(payload);
+
     const attachmentSyncKeys = getAttachmentSyncContextKeys();
     attachmentSyncKeys.forEach(key => {
         if (payload[key] === undefined) {
@@ -144,33 +513,12 @@ function validateRequestPayload(payload) {
         }
     });
 
-    const mandatoryFields = {
-        requestType: ColNames.REQUEST_TYPE,
-        emailAddress: ColNames.EMAIL_ADDRESS,
-        companyCode: 'Company Code',
-        companyName: 'Company Name',
-    };
-
-    // Handle Missing Mandatory Fields
-    const missingFields = [];
-    for (const [field, label] of Object.entries(mandatoryFields)) {
-        if (!payload[field]) {
-            missingFields.push(label);
-        }
-    }
-
-    if (missingFields.length > 0) {
-        return {
-            isValid: false,
-            error: `Missing required fields: ${missingFields.join(', ')}`
-        };
-    }
-
-    // Validate attachment URL if provided
-    if (payload.attachmentUrl && !isUrl(payload.attachmentUrl)) {
+    const errors = validatePayloadSchema(payload);
+    if (errors.length > 0) {
         return {
             isValid: false,
-            error: 'Attachment is not a valid URL'
+            error: `Invalid payload: ${errors.map(err => err.field).join(', ')}`,
+            errors: errors
         };
     }
 
@@ -183,28 +531,20 @@ function validateRequestPayload(payload) {
  * @returns {Object} Values dictionary for sheet
  */
 function prepareValuesDictionary(payload) {
-    return {
+    const fields = getRequestPayloadSchema(payload.requestType) || BASE_PAYLOAD_SCHEMA;
+
+    const valuesDict = {
         TIMESTAMP: getDateNow(),
-        REQUEST_TYPE: payload.requestType,
-        EMAIL_ADDRESS: payload.emailAddress,
         COMPANY_CODE_NAME: `${payload.companyCode} - ${payload.companyName}`,
-        DEPARTMENT: payload.department,
-        ...(payload.attachmentUrl && { ATTACHMENT_URL: payload.attachmentUrl }),
-        ...(payload.attachmentValues && { ATTACHMENT_VALUES: payload.attachmentValues }),
-        ...(payload.documentNumber && { DOCUMENT_NUMBER: payload.documentNumber }),
-        ...(payload.additionalAttachment && { ADDITIONAL_ATTACHMENT: payload.additionalAttachment }),
-        ...(payload.attachmentUrl && { ATTACHMENT_URL: payload.attachmentUrl }),
-        ...(payload.validFrom && { VALID_FROM: payload.validFrom }),
-        ...(payload.validTo && { VALID_TO: payload.validTo }),
-        ...(payload.promoType && { PROMO_TYPE: payload.promoType }),
-        ...(payload.totalTask && { TOTAL_TASK: payload.totalTask }),
-        ...(payload.modfiyType && { MODIFY_TYPE: payload.modfiyType }),
-        ...(payload.byPhoneConfirmation && { BY_PHONE_CONFIRMATION: payload.byPhoneConfirmation }),
-        ...(payload.transactionSection && { TRANSACTION_SECTION: payload.transactionSection }),
-        ...(payload.updateTo && { UPDATE_TO: payload.updateTo }),
-        ...(payload.bankType && { BANK_TYPE: payload.bankType }),
-        ...(payload.totalPromo && { TOTAL_PROMO: payload.totalPromo }),
     };
+
+    Object.entries(fields).forEach(([name, def]) => {
+        if (def.column && isNotEmpty(payload[name])) {
+            valuesDict[def.column] = payload[name];
+        }
+    });
+
+    return valuesDict;
 }
 
 /**
@@ -348,18 +688,68 @@ function handleRequestSubmission(e) {
     if (!validation.isValid) {
         Logger.log("[handleRequestSubmission] Payload validation failed:");
         Logger.log(validation.error);
-        return createErrorResponse(validation.error);
+        return createErrorResponse(validation.error, 400, validation.errors);
     }
 
     Logger.log("[handleRequestSubmission] Payload validation passed");
 
     const validatedPayload = validation.payload;
+    const idempotencyKey = validatedPayload.idempotencyKey;
+
+    if (!idempotencyKey) {
+        const result = submitRequest(validatedPayload);
+        return result.error
+            ? createErrorResponse(result.error)
+            : createSuccessResponse(result.data);
+    }
+
+    const clientId = e.apiClient ? e.apiClient.clientId : 'anonymous';
+    const claim = claimIdempotencyKey(clientId, idempotencyKey);
+
+    if (claim.record) {
+        Logger.log(`[handleRequestSubmission] Idempotency key "${idempotencyKey}" replayed (${claim.record.requestNumber})`);
+        return createSuccessResponse({ ...claim.record, idempotentReplay: true });
+    }
+
+    if (!claim.claimed) {
+        return createErrorResponse(`Request with idempotency key "${idempotencyKey}" is still being processed.`, 409);
+    }
+
+    let result;
+    try {
+        result = submitRequest(validatedPayload);
+    } catch (error) {
+        releaseIdempotencyKey(clientId, idempotencyKey);
+        throw error;
+    }
+
+    if (result.error) {
+        // Once a row exists a retry must not insert another one
+        if (result.data) {
+            saveIdempotencyRecord(clientId, idempotencyKey, result.data);
+            return createErrorResponse(result.error, 500, null, { requestNumber: result.data.requestNumber });
+        }
+        releaseIdempotencyKey(clientId, idempotencyKey);
+        return createErrorResponse(result.error);
+    }
+
+    saveIdempotencyRecord(clientId, idempotencyKey, result.data);
+    return createSuccessResponse(result.data);
+}
+
+/**
+ * Writes a validated payload into the Master sheet and runs the approval sync
+ * @param {Object} validatedPayload - Payload returned by validateRequestPayload
+ * @returns {Object} { data } on success, { error } when nothing was written, or { error, data }
+ *   when the row was written before the submission failed (data.requestNumber may still be empty)
+ */
+function submitRequest(validatedPayload) {
     const valuesDict = prepareValuesDictionary(validatedPayload);
 
     // Get appropriate sheet
-            const sheetName = getSheetName(valuesDict.REQUEST_TYPE);
+    const sheetName = getSheetName(valuesDict.REQUEST_TYPE);
     if (!sheetName) {
-        return createErrorResponse('Request Type is Invalid.');
+        return { error: 'Request Type is Invalid.' };
     }
 
     const sheet = getMasterSpreadsheet(sheetName);
@@ -376,51 +766,389 @@ function handleRequestSubmission(e) {
         valuesDict: valuesDict,
     };
 
-    // Call onSubmit and get the actual final row number
-    const finalRowIndex = onSubmit(submitEvent);
+    let request;
+    try {
+        // Call onSubmit and get the actual final row number
+        const finalRowIndex = onSubmit(submitEvent);
 
-    // Use the final row index for processing the request
-    const request = new Request(sheet, finalRowIndex);
-    processRequestSync(request, validatedPayload);
+        // Use the final row index for processing the request
+        request = new Request(sheet, finalRowIndex);
+        processRequestSync(request, validatedPayload);
+    } catch (error) {
+        Logger.log(`[submitRequest] Row ${rowIndex} failed: ${error.message}`);
+        return getFailedSubmissionResult(sheet, rowIndex, valuesDict, error);
+    }
 
     // Prepare response data
     const { REQUEST_NUMBER, ATTACHMENT } = request.activity.getActivityValueMap();
+    return {
+        data: {
+            message: "Request submitted successfully",
+            requestNumber: REQUEST_NUMBER,
+            attachmentUrl: ATTACHMENT,
+            timestamp: valuesDict.TIMESTAMP
+        }
+    };
+}
+
+/**
+ * Result of a submission that threw after onSubmit started. The row counts as written whenever
+ * it exists, so the idempotency key is only released when the sheet never reached it.
+ */
+function getFailedSubmissionResult(sheet, rowIndex, valuesDict, error) {
+    if (rowIndex > sheet.getLastRow()) {
+        return { error: error.message };
+    }
+
+    clearSheetCache(sheet, { skipHeaders: true });
+    const requestNumber = getValueByColumn(sheet, ColNames.REQUEST_NUMBER, rowIndex, ACTIVITY_HEADER_ROW_INDEX);
+    return {
+        error: error.message,
+        data: {
+            message: "Request submitted, but its processing failed",
+            requestNumber: requestNumber || null,
+            error: error.message,
+            timestamp: valuesDict.TIMESTAMP
+        }
+    };
+}
+
+const MAX_BATCH_REQUESTS = 50;
+
+/**
+ * Handles batch request submission ({ requests: [payload, ...] })
+ * Rows are written per activity sheet through insertRowValuesBatch, then each row
+ * goes through the regular onSubmit + approval sync. A failing item never fails the batch.
+ * @param {Object} e - The event object
+ * @returns {TextOutput} JSON response with one result per item
+ */
+function handleBatchRequestSubmission(e) {
+    const body = JSON.parse(e.postData.contents);
+    const payloads = Array.isArray(body) ? body : body.requests;
+
+    if (!Array.isArray(payloads) || payloads.length === 0) {
+        return createErrorResponse("Invalid parameters: requests must be a non-empty array.", 400);
+    }
+
+    if (payloads.length > MAX_BATCH_REQUESTS) {
+        return createErrorResponse(`Batch too large: maximum ${MAX_BATCH_REQUESTS} requests per call.`, 400);
+    }
+
+    Logger.log(`[handleBatchRequestSubmission] Received ${payloads.length} requests`);
+
+    const clientId = e.apiClient ? e.apiClient.clientId : 'anonymous';
+    const results = new Array(payloads.length).fill(null);
+    const groups = {};
+
+    const fail = (index, error, errors = null) => {
+        results[index] = { index, status: 'error', error, ...(errors && { errors }) };
+    };
+
+    // 1. Validate, claim idempotency keys and pre-generate request numbers per item
+    payloads.forEach((payload, index) => {
+        try {
+            const validation = validateRequestPayload(payload || {});
+            if (!validation.isValid) return fail(index, validation.error, validation.errors);
+
+            const validatedPayload = validation.payload;
+            const valuesDict = prepareValuesDictionary(validatedPayload);
+            const sheetName = getSheetName(valuesDict.REQUEST_TYPE);
+            if (!sheetName) return fail(index, 'Request Type is Invalid.');
+
+            const idempotencyKey = validatedPayload.idempotencyKey;
+            if (idempotencyKey) {
+                const claim = claimIdempotencyKey(clientId, idempotencyKey);
+                if (claim.record) {
+                    results[index] = { index, status: 'success', ...claim.record, idempotentReplay: true };
+                    return;
+                }
+                if (!claim.claimed) {
+                    return fail(index, `Request with idempotency key "${idempotencyKey}" is still being processed.`);
+                }
+            }
+
+            try {
+                valuesDict.REQUEST_NUMBER = generateRequestNumber(
+                    sheetName, extractCompanyName(valuesDict.COMPANY_CODE_NAME)
+                );
+            } catch (error) {
+                if (idempotencyKey) releaseIdempotencyKey(clientId, idempotencyKey);
+                throw error;
+            }
+
+            if (!groups[sheetName]) groups[sheetName] = [];
+            groups[sheetName].push({ index, validatedPayload, valuesDict });
+        } catch (error) {
+            Logger.log(`[handleBatchRequestSubmission] Item ${index} failed validation: ${error.message}`);
+            fail(index, error.message);
+        }
+    });
+
+    // 2. Insert rows per sheet, then run the submission flow on each row
+    Object.keys(groups).forEach(sheetName => {
+        const items = groups[sheetName];
+        let rowIndexes = [];
+
+        try {
+            const sheet = getMasterSpreadsheet(sheetName);
+            const headers = getColumnHeaders(sheet, true, ACTIVITY_HEADER_ROW_INDEX);
+            const rowsData = items.map(({ valuesDict }) => ({
+                values: headers.map(header => valuesDict[header] || '')
+            }));
+
+            rowIndexes = insertRowValuesBatch(sheet, rowsData, 'handleBatchRequestSubmission');
+
+            items.forEach((item, i) => {
+                const result = rowIndexes[i]
+                    ? submitInsertedRequest(sheet, rowIndexes[i], item)
+                    : { error: 'Failed to insert row.' };
+                finishBatchItem(results, clientId, item, result, !!rowIndexes[i]);
+            });
+        } catch (error) {
+            Logger.log(`[handleBatchRequestSubmission] Sheet ${sheetName} failed: ${error.message}`);
+            items.forEach((item, i) => {
+                if (!results[item.index]) finishBatchItem(results, clientId, item, { error: error.message }, !!rowIndexes[i]);
+            });
+        }
+    });
+
+    const succeeded = results.filter(r => r.status === 'success').length;
+    Logger.log(`[handleBatchRequestSubmission] Done. Succeeded: ${succeeded}, Failed: ${results.length - succeeded}`);
+
     return createSuccessResponse({
-        message: "Request submitted successfully",
-        requestNumber: REQUEST_NUMBER,
-        attachmentUrl: ATTACHMENT,
-        timestamp: valuesDict.TIMESTAMP
+        message: "Batch processed",
+        total: results.length,
+        succeeded: succeeded,
+        failed: results.length - succeeded,
+        results: results
     });
 }
 
-function callMasterApiToUpdateWorkload(mdmName, seconds) {
+/**
+ * Runs onSubmit + approval sync for a row already written by insertRowValuesBatch
+ * @returns {Object} { data } on success or { error }
+ */
+function submitInsertedRequest(sheet, rowIndex, { validatedPayload, valuesDict }) {
+    try {
+        clearSheetCache(sheet, { skipHeaders: true });
+
+        const RequestClass = getRequestClass(sheet.getName());
+        const request = new RequestClass(sheet, rowIndex, null, valuesDict);
+        request.templateUrl = valuesDict.ATTACHMENT_URL || null;
+        request.attachmentValues = valuesDict.ATTACHMENT_VALUES || null;
+        request.handleOnSubmit();
+
+        const syncRequest = new Request(sheet, rowIndex);
+        processRequestSync(syncRequest, validatedPayload);
+
+        const { REQUEST_NUMBER, ATTACHMENT } = syncRequest.activity.getActivityValueMap();
+        return {
+            data: {
+                message: "Request submitted successfully",
+                requestNumber: REQUEST_NUMBER,
+                attachmentUrl: ATTACHMENT,
+                timestamp: valuesDict.TIMESTAMP
+            }
+        };
+    } catch (error) {
+        Logger.log(`[submitInsertedRequest] Row ${rowIndex} failed: ${error.message}`);
+        return { error: error.message };
+    }
+}
+
+/**
+ * @param {boolean} inserted - The row (with its pre-generated request number) is in the sheet;
+ *   the idempotency key then keeps that request number even when the item failed
+ */
+function finishBatchItem(results, clientId, { index, validatedPayload, valuesDict }, result, inserted) {
+    const idempotencyKey = validatedPayload.idempotencyKey;
+
+    if (result.error) {
+        if (idempotencyKey && inserted) {
+            saveIdempotencyRecord(clientId, idempotencyKey, {
+                message: "Request submitted, but its processing failed",
+                requestNumber: valuesDict.REQUEST_NUMBER,
+                error: result.error,
+                timestamp: valuesDict.TIMESTAMP
+            });
+        } else if (idempotencyKey) {
+            releaseIdempotencyKey(clientId, idempotencyKey);
+        }
+        results[index] = {
+            index,
+            status: 'error',
+            requestNumber: valuesDict.REQUEST_NUMBER,
+            error: result.error
+        };
+        return;
+    }
+
+    if (idempotencyKey) saveIdempotencyRecord(clientId, idempotencyKey, result.data);
+    results[index] = { index, status: 'success', ...result.data };
+}
+
+/**
+ * Idempotency records are kept in Script Properties as { state, savedAt, data } for
+ * IDEMPOTENCY_TTL_SEC, which covers any realistic retry window of the portal; the script cache
+ * holds a copy as fast path only, it may evict entries early. A pending record is written while
+ * the first submission is still running so concurrent retries cannot submit twice.
+ * onIntervalIdempotencyCleanup removes expired records.
+ */
+const IDEMPOTENCY_TTL_SEC = 21600;
+const IDEMPOTENCY_PENDING_TTL_SEC = 600;
+const IDEMPOTENCY_PREFIX = 'IDEMPOTENCY_';
+const IdempotencyState = Object.freeze({
+    PENDING: 'pending',
+    DONE: 'done'
+});
+
+function makeIdempotencyCacheKey(clientId, idempotencyKey) {
+    const digest = Utilities.computeDigest(
+        Utilities.DigestAlgorithm.SHA_256,
+        `${clientId}:${idempotencyKey}`
+    );
+    return `${IDEMPOTENCY_PREFIX}${toHex(digest)}`;
+}
+
+function parseIdempotencyRecord(raw) {
+    if (!raw) return null;
+    try {
+        const record = JSON.parse(raw);
+        return record && record.state ? record : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function isIdempotencyRecordExpired(record, now = Date.now()) {
+    const ttlSec = record.state === IdempotencyState.PENDING ? IDEMPOTENCY_PENDING_TTL_SEC : IDEMPOTENCY_TTL_SEC;
+    return now - (record.savedAt || 0) > ttlSec * 1000;
+}
+
+function putIdempotencyRecord(cacheKey, state, data = null) {
+    const raw = JSON.stringify({ state, savedAt: Date.now(), data });
+    const ttlSec = state === IdempotencyState.PENDING ? IDEMPOTENCY_PENDING_TTL_SEC : IDEMPOTENCY_TTL_SEC;
+    PropertiesService.getScriptProperties().setProperty(cacheKey, raw);
+    CacheService.getScriptCache().put(cacheKey, raw, ttlSec);
+}
+
+/**
+ * Atomically checks the idempotency key and marks it as pending when unused
+ * @returns {Object} { claimed, record } - record is the stored response of a finished submission
+ */
+function claimIdempotencyKey(clientId, idempotencyKey) {
+    const cacheKey = makeIdempotencyCacheKey(clientId, idempotencyKey);
+
+    return withKeyLock(`idempotency:${clientId}:${idempotencyKey}`, 'claimIdempotencyKey', () => {
+        // Cache first; Script Properties when the cache missed or evicted the entry
+        const record = parseIdempotencyRecord(CacheService.getScriptCache().get(cacheKey))
+            || parseIdempotencyRecord(PropertiesService.getScriptProperties().getProperty(cacheKey));
+
+        if (record && !isIdempotencyRecordExpired(record)) {
+            return record.state === IdempotencyState.PENDING
+                ? { claimed: false, record: null }
+                : { claimed: false, record: record.data };
+        }
+
+        putIdempotencyRecord(cacheKey, IdempotencyState.PENDING);
+        return { claimed: true, record: null };
+    }, 1, 30000);
+}
+
+function saveIdempotencyRecord(clientId, idempotencyKey, data) {
+    putIdempotencyRecord(makeIdempotencyCacheKey(clientId, idempotencyKey), IdempotencyState.DONE, data);
+}
+
+/** Only for submissions that never wrote a row */
+function releaseIdempotencyKey(clientId, idempotencyKey) {
+    const cacheKey = makeIdempotencyCacheKey(clientId, idempotencyKey);
+    PropertiesService.getScriptProperties().deleteProperty(cacheKey);
+    CacheService.getScriptCache().remove(cacheKey);
+}
+
+/**
+ * Removes expired idempotency records from Script Properties
+ * @returns {number} Number of records removed
+ */
+function cleanupIdempotencyRecords() {
+    const props = PropertiesService.getScriptProperties();
+    const now = Date.now();
+    const expired = Object.entries(props.getProperties())
+        .filter(([key]) => key.startsWith(IDEMPOTENCY_PREFIX))
+        .filter(([, raw]) => {
+            const record = parseIdempotencyRecord(raw);
+            return !record || isIdempotencyRecordExpired(record, now);
+        })
+        .map(([key]) => key);
+
+    expired.forEach(key => props.deleteProperty(key));
+    Logger.log(`[cleanupIdempotencyRecords] Removed ${expired.length} expired record(s).`);
+    return expired.length;
+}
+
+function callMasterApiToUpdateWorkload(mdmName, seconds, requestNumber = null, reason = WorkloadLedgerReason.ADJUSTED) {
     if (!mdmName || !seconds || seconds === 0) return;
 
-    // Payload sesuai dengan yang diharapkan oleh handleRequest di Master
+    // Payload sesuai kontrak API_CURRENT_VERSION di Master
+    const apiPath = `/${API_CURRENT_VERSION}/update_workload`;
     const payload = {
-        action: 'update_workload', // Router Master akan menangkap ini
-        mdmName: mdmName,
-        seconds: seconds
+        agent: mdmName,
+        deltaSeconds: seconds,
+        requestNumber: requestNumber,
+        reason: reason
     };
 
+    Logger.log(`[API] Sending update for ${mdmName} (${seconds}s) to Master...`);
+    const respJson = postToMasterApi(apiPath, payload);
+    if (respJson) {
+        Logger.log(`[API] Success. New Total: ${respJson.data.totalSeconds}`);
+    }
+}
+
+/**
+ * Asks Master to release the workload still booked for a request
+ * @param {string} requestNumber - Request number
+ * @param {string} reason - Value from WorkloadLedgerReason
+ */
+function callMasterApiToReleaseWorkload(requestNumber, reason) {
+    if (!requestNumber) return;
+
+    const apiPath = `/${API_CURRENT_VERSION}/release_workload`;
+    Logger.log(`[API] Releasing workload of ${requestNumber} (${reason}) on Master...`);
+    const respJson = postToMasterApi(apiPath, { requestNumber: requestNumber, reason: reason });
+    if (respJson) {
+        Logger.log(`[API] Success. Released: ${respJson.data.releasedSeconds}s`);
+    }
+}
+
+/**
+ * Signed POST to the Master web app
+ * @param {string} apiPath - Versioned path, e.g. /v2/update_workload
+ * @param {Object} payload - JSON body
+ * @returns {Object|null} Success envelope, or null when Master failed or could not be reached
+ */
+function postToMasterApi(apiPath, payload) {
+    const body = JSON.stringify(payload);
     const options = {
         method: 'post',
         contentType: 'application/json',
-        payload: JSON.stringify(payload),
+        payload: body,
         muteHttpExceptions: true
     };
 
+    // Request ditandatangani dengan kredensial client milik script ini
+    const query = `path=${encodeURIComponent(apiPath)}&` + buildSignedApiQuery('POST', apiPath, body);
+
     try {
-        Logger.log(`[API] Sending update for ${mdmName} (${seconds}s) to Master...`);
-        const response = UrlFetchApp.fetch(WEB_APP_URL, options); // Pastikan konstanta ini ada
+        const response = UrlFetchApp.fetch(`${WEB_APP_URL}?${query}`, options); // Pastikan konstanta ini ada
         
         const respJson = JSON.parse(response.getContentText());
         if (respJson.status === 'success') {
-            Logger.log(`[API] Success. New Total: ${respJson.data.newTotal}`);
-        } else {
-            Logger.log(`[API] Master returned error: ${respJson.message}`);
+            return respJson;
         }
+        Logger.log(`[API] Master returned error on ${apiPath}: ${respJson.message}`);
     } catch (e) {
         Logger.log(`[API] Failed to connect to Master: ${e.message}`);
     }
+    return null;
 }
@@ -62,19 +62,37 @@ function onInterval(sheetNames = []) {
         }
 
         let RequestClass = getRequestClass(sheet.getName());
-        const targetRows = getActivityRowToCrawl(sheet);
+        let targetRows;
+        try {
+            targetRows = getActivityRowToCrawl(sheet);
+        } catch (error) {
+            // Rows are being deleted from the sheet; the next run crawls it
+            Logger.log(`[onInterval] Skipping ${sheetName}: ${error.message}`);
+            continue;
+        }
 
         Logger.log(`[onInterval] Processing ${sheetName} on rows: ${targetRows.map(({ row }) => row).join(', ')}`);
 
         const sortedRows = [...targetRows].sort((a, b) => b.row - a.row);
 
+        // Rows busy in another execution are picked up by the next run
+        const withIntervalRow = (row, fn) => {
+            try {
+                withRowLock(sheetName, row, 'onInterval', (_rowLock, beat, fence) => {
+                    if (row > sheet.getLastRow()) return;
+                    const request = new RequestClass(sheet, row);
+                    fence(request.activity);
+                    request.setLockBeat(beat);
+                    fn(request);
+                }, 3, 600, { staleAfterMs: HANDLER_STALE_THRESHOLD_MS });
+            } catch (error) {
+                Logger.log(`[onInterval] Skipping row ${row} in ${sheetName}: ${error.message}`);
+            }
+        };
+
         // Process rows
         sortedRows.forEach(({ row, requestNumber }) => {
-            if (row <= sheet.getLastRow()) {
-                const request = new RequestClass(sheet, row);
-                const status = request.handleOnInterval(requestNumber);
-                if (!status) return;
-            }
+            withIntervalRow(row, request => request.handleOnInterval(requestNumber));
         });
 
         const errorSentBackRows = getSystemSentBackErrorRow(sheet);
@@ -82,10 +100,7 @@ function onInterval(sheetNames = []) {
             Logger.log(`[onInterval] Fixing System Sent Back Error on ${sheetName} rows: ${errorSentBackRows.join(', ')}`);
 
             [...errorSentBackRows].sort((a, b) => b - a).forEach(row => {
-                if (row <= sheet.getLastRow()) {
-                    const request = new RequestClass(sheet, row);
-                    request.requestHandler.handleSystemSentBackEmail();
-                }
+                withIntervalRow(row, request => request.requestHandler.handleSystemSentBackEmail());
             });
         }
     }
@@ -109,6 +124,12 @@ function onIntervalSourceList() { return onInterval([ActivitySheetNames.SOURCE_L
 function onIntervalMerchandise() { return onInterval([ActivitySheetNames.MERCHANDISE]) }
 function onIntervalVendor() { return onInterval([ActivitySheetNames.VENDOR]) }
 
+function onIntervalWebhookRetry() { return drainWebhookQueue() }
+function onIntervalIdempotencyCleanup() { return cleanupIdempotencyRecords() }
+function onIntervalWorkloadReconcile() { return reconcileWorkload() }
+function onIntervalWorkloadDecay() { return decayOpenWorkload() }
+function onIntervalReassignOnLeave() { return reassignAgentsOnLeave() }
+
 function onChildEdit(e) {
     const sheet = e.source.getActiveSheet();
     const sheetName = sheet.getName();
@@ -171,6 +192,7 @@ function onChildEdit(e) {
             MDMStatus.COMPLETED,
             MDMStatus.PARTIALLY_REJECTED,
             MDMStatus.REJECTED,
+            MDMStatus.CANCELLED,
         ]);
         if (newStatus === MDMStatus.ON_GOING && (TERMINAL_STATUSES.has(oldStatus) || processedDateVal)) {
             e.source.toast("Cannot change '" + oldStatus + "' back to 'On Going'. Reverting.", "Not Allowed", 6);
@@ -233,8 +255,31 @@ function onChildEdit(e) {
     }
 
     const RequestClass = getRequestClass(activitySheetName);
-    const request = new RequestClass(sheet, rowIndex, colIndex, rowData);
-    request.handleOnEdit(userEmail, oldValueForHandler);
+    let started = false;
+    try {
+        withRowLock(sheetName, rowIndex, 'onChildEdit', (_rowLock, beat, fence) => {
+            started = true;
+            const request = new RequestClass(sheet, rowIndex, colIndex, rowData);
+            fence(request.activity);
+            request.setLockBeat(beat);
+            request.handleOnEdit(userEmail, oldValueForHandler);
+        }, 1, 10000, { staleAfterMs: HANDLER_STALE_THRESHOLD_MS });
+    } catch (error) {
+        if (started) throw error;
+
+        // Row busy in another execution: onChildInterval replays the edit once it is free
+        Logger.log(`[onChildEdit] Row ${rowIndex} busy (${error.message}); queueing the edit.`);
+        const queued = queueChildEdit({
+            sheetName,
+            requestNumber: rowData[ColNames.REQUEST_NUMBER],
+            colIndex,
+            userEmail,
+            previousStatus: oldValueForHandler
+        });
+        e.source.toast(queued
+            ? "This row is being updated by another process. Your change will be applied shortly."
+            : "This row is being updated by another process. Please try again.", "Busy", 6);
+    }
 }
 
 function archive() {
@@ -246,6 +291,12 @@ function onChildInterval() {
     const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
     const sheets = spreadsheet.getSheets();
 
+    try {
+        replayQueuedChildEdits(spreadsheet);
+    } catch (error) {
+        Logger.log(`[onChildInterval] Queued edits not replayed: ${error.message}`);
+    }
+
     for (let sheet of sheets) {
         const sheetName = sheet.getName();
         const targetRows = getActivityErrorRow(sheet);
@@ -254,33 +305,30 @@ function onChildInterval() {
         Logger.log(`[onChildInterval] Processing ${sheetName} on rows: ${targetRows.join(', ')}`);
 
         targetRows.forEach(row => {
-            const rowLock = acquireRowLock(sheetName, row, 'onChildInterval', 3, 600);
-            if (!rowLock) return;
-
             try {
-                heartbeatRowLock(rowLock);
-                const headerRow = sheet.getRange(ACTIVITY_HEADER_ROW_INDEX, 1, 1, sheet.getLastColumn()).getValues()[0];
-                const rowValues = sheet.getRange(row, 1, 1, sheet.getLastColumn()).getValues()[0];
-
-                const rowData = {};
-                headerRow.forEach((header, index) => {
-                    if (header) rowData[header] = rowValues[index];
-                });
-
-                let targetSheetName = sheetName;
-                const activitySheetName = getSheetName(rowData[ColNames.REQUEST_TYPE]);
-                if (activitySheetName) targetSheetName = activitySheetName;
-                else return;
-
-                const RequestClass = getRequestClass(targetSheetName);
-                const request = new RequestClass(sheet, row, null, rowData);
-                const beat = () => { heartbeatRowLock(rowLock); };
-
-                request.handleOnChildInterval(beat);
+                withRowLock(sheetName, row, 'onChildInterval', (_rowLock, beat, fence) => {
+                    const headerRow = sheet.getRange(ACTIVITY_HEADER_ROW_INDEX, 1, 1, sheet.getLastColumn()).getValues()[0];
+                    const rowValues = sheet.getRange(row, 1, 1, sheet.getLastColumn()).getValues()[0];
+
+                    const rowData = {};
+                    headerRow.forEach((header, index) => {
+                        if (header) rowData[header] = rowValues[index];
+                    });
+
+                    let targetSheetName = sheetName;
+                    const activitySheetName = getSheetName(rowData[ColNames.REQUEST_TYPE]);
+                    if (activitySheetName) targetSheetName = activitySheetName;
+                    else return;
+
+                    const RequestClass = getRequestClass(targetSheetName);
+                    const request = new RequestClass(sheet, row, null, rowData);
+                    fence(request.activity);
+                    request.setLockBeat(beat);
+
+                    request.handleOnChildInterval();
+                }, 3, 600, { staleAfterMs: HANDLER_STALE_THRESHOLD_MS });
             } catch (error) {
                 Logger.log(`[onChildInterval] Error processing row ${row} in ${sheetName}: ${error.message}`);
-            } finally {
-                releaseRowLock(rowLock, 'onChildInterval');
             }
         });
     }
@@ -309,9 +357,13 @@ function onOpen() {
         .addItem('Fix On Submit', 'fixOnSubmit')
         .addItem('Sync Attachment Data', 'fixAttachmentSync')
         .addItem('Fix Request Approved', 'fixRequestApproved')
+        .addItem('Cancel Request', 'cancelSelectedRequests')
         .addItem("Merge Selected VBS Files", "mergeSelectedVBS")
         .addItem("Set as Special Project", "setDepartmentToSpecialProject")
         .addItem("Change / Add MDM", "changeMDM")
+        .addItem("Reassign Unavailable Agent", "reassignAgentRowsFromMenu")
+        .addItem("Explain Allocation", "explainAllocationFromMenu")
+        .addItem("Simulate Allocation", "simulateAllocationFromMenu")
         .addItem("Sort Sheet", "runPrioritySorting")
         .addToUi();
 }
\ No newline at end of file
@@ -150,6 +150,25 @@ class ActivityWithUpdate extends ActivityWithValidation {
         super(sheet, rowIndex, initialData);
     }
     
+    /**
+     * Fences the writes of this activity with the row lock it runs under: once another
+     * execution has taken the lock over, _updateValue / _updateValuesBatch refuse to write.
+     * @param {Object} lockObj - Lock from acquireRowLock (withRowLock / withKeyLocks set it via fence())
+     */
+    setFencingLock(lockObj) {
+        this._fencingLock = lockObj || null;
+        return this;
+    }
+
+    _isFenceCurrent(operation, colNames) {
+        if (!this._fencingLock || isFencingTokenCurrent(this._fencingLock)) return true;
+
+        Logger.log(`[${operation}] Stale fencing token ${this._fencingLock.fencingToken} for ` +
+            `"${this._fencingLock.userKey}" (${this._fencingLock.operation}); write to ${colNames.join(', ')} ` +
+            `on ${this.sheet.getName()}#${this.rowIndex} rejected.`);
+        return false;
+    }
+
     _updateValue(colName, value) {
         const colIndex = handleColParams(this.sheet, colName, ACTIVITY_HEADER_ROW_INDEX);
 
@@ -158,6 +177,8 @@ class ActivityWithUpdate extends ActivityWithValidation {
             return false;
         }
 
+        if (!this._isFenceCurrent('_updateValue', [colName])) return false;
+
         try {
             this.sheet.getRange(this.rowIndex, colIndex).setValue(value);
 
@@ -199,6 +220,7 @@ class ActivityWithUpdate extends ActivityWithValidation {
         }
 
         if (updateData.length === 0) return false;
+        if (!this._isFenceCurrent('_updateValuesBatch', updateData.map(u => u.colName))) return false;
 
         try {
             const colIndices = updateData.map(u => u.colIndex);
@@ -301,72 +323,42 @@ class ActivityWithUpdate extends ActivityWithValidation {
         return this._updateValue(ColNames.ESTIMATED_TIME, estimatedTimeSeconds);
     }
 
+    /**
+     * Priority score of the row from the "Priority Weight" rules (same score prioritySorting uses)
+     * @param {MasterConfig} [masterConfig] - Reused config instance
+     * @returns {number} Score between 0 and 1
+     */
+    getPriorityScore(masterConfig = new MasterConfig()) {
+        const lastColumn = this.sheet.getLastColumn();
+        const header = this.sheet.getRange(ACTIVITY_HEADER_ROW_INDEX, 1, 1, lastColumn).getValues()[0].map(String);
+        const rowData = this.sheet.getRange(this.rowIndex, 1, 1, lastColumn).getValues()[0];
+
+        const colIndexes = header.reduce((acc, colName, index) => {
+            acc[colName] = index;
+            return acc;
+        }, {});
+
+        return masterConfig.getRowScore(rowData, colIndexes, masterConfig.getWeightingRules(), new Date());
+    }
+
+    updatePriorityScore(score) {
+        return this._updateValue(ColNames.PRIORITY_SCORE, score);
+    }
+
     updateEstimatedTimeFinished(takenDate) {
-        const { ESTIMATED_TIME, ESTIMATED_TIME_FINISHED } = this.getActivityValueMap();
+        const { ESTIMATED_TIME, ESTIMATED_TIME_FINISHED, PROCESSED_BY } = this.getActivityValueMap();
         if (isNotEmpty(ESTIMATED_TIME_FINISHED) || !ESTIMATED_TIME) return;
 
-        let remainingSeconds = Number(ESTIMATED_TIME);
+        const remainingSeconds = Number(ESTIMATED_TIME);
         if (isNaN(remainingSeconds) || remainingSeconds <= 0) {
             return;
         }
 
-        const WORK_START_HOUR = 9;
-        const WORK_END_HOUR = 18;
-        const LUNCH_START_HOUR = 12;
-        const LUNCH_END_HOUR = 13;
-        const SECONDS_PER_WORK_DAY = (WORK_END_HOUR - WORK_START_HOUR - (LUNCH_END_HOUR - LUNCH_START_HOUR)) * 3600;
-
-        let currentDate = parseMDYHMS(takenDate);
-
-        const advanceToNextWorkday = (date) => {
-            date.setDate(date.getDate() + 1);
-            date.setHours(WORK_START_HOUR, 0, 0, 0);
-            while (isWeekend(date) || isHoliday(date)) {
-                date.setDate(date.getDate() + 1);
-            }
-            return date;
-        };
-
-        if (currentDate.getHours() >= WORK_END_HOUR || isWeekend(currentDate) || isHoliday(currentDate)) {
-            currentDate = advanceToNextWorkday(currentDate);
-        } else if (currentDate.getHours() < WORK_START_HOUR) {
-            currentDate.setHours(WORK_START_HOUR, 0, 0, 0);
-        } else if (currentDate.getHours() >= LUNCH_START_HOUR && currentDate.getHours() < LUNCH_END_HOUR) {
-            currentDate.setHours(LUNCH_END_HOUR, 0, 0, 0);
-        }
-        
-        const lunchStart = new Date(currentDate).setHours(LUNCH_START_HOUR, 0, 0, 0);
-        const lunchEnd = new Date(currentDate).setHours(LUNCH_END_HOUR, 0, 0, 0);
-        const workEnd = new Date(currentDate).setHours(WORK_END_HOUR, 0, 0, 0);
-        
-        let availableSecondsToday = (workEnd - currentDate.getTime()) / 1000;
-        if (currentDate.getTime() < lunchEnd) {
-            const lunchDuration = (lunchEnd - Math.max(currentDate.getTime(), lunchStart)) / 1000;
-            availableSecondsToday -= Math.max(0, lunchDuration);
-        }
-
-        if (remainingSeconds <= availableSecondsToday) {
-            currentDate = addTime(currentDate, { seconds: remainingSeconds });
-            if (currentDate.getTime() > lunchStart && currentDate.getTime() < lunchEnd) {
-                const overflow = (currentDate.getTime() - lunchStart) / 1000;
-                currentDate.setTime(lunchEnd);
-                currentDate = addTime(currentDate, { seconds: overflow });
-            }
-        } else {
-            remainingSeconds -= availableSecondsToday;
-            const fullDaysNeeded = Math.floor(remainingSeconds / SECONDS_PER_WORK_DAY);
-            for (let i = 0; i < fullDaysNeeded; i++) {
-                currentDate = advanceToNextWorkday(currentDate);
-            }
-            remainingSeconds %= SECONDS_PER_WORK_DAY;
-            currentDate = advanceToNextWorkday(currentDate);
-            currentDate = addTime(currentDate, { seconds: remainingSeconds });
-            if (currentDate.getHours() >= LUNCH_START_HOUR) {
-                currentDate = addTime(currentDate, { hours: 1 });
-            }
-        }
+        // Assignee's own working hours, work days and leave (global hours when not configured)
+        const assignee = String(PROCESSED_BY || this.sheet.getName()).split(',')[0].trim();
+        const finished = addWorkingSeconds(parseMDYHMS(takenDate), remainingSeconds, getMdmCalendar(assignee));
 
-        const out = getDateNow(currentDate);
+        const out = getDateNow(finished);
         this._updateValue(ColNames.ESTIMATED_TIME_FINISHED,out)
         return out;
     }
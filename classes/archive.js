@@ -118,70 +118,73 @@ class Archive {
     }
 
     _removeRows(sheet, targetRows, keepTargetRow = false) {
-        Logger.log(`[Archive] Removing rows from sheet: ${sheet.getName()}, keepTargetRow: ${keepTargetRow}`);
+        // Row deletions shift every row below; scans holding the layout lock finish first
+        return withWriteLock(makeSheetLayoutKey(sheet.getName()), 'Archive._removeRows', () => {
+            Logger.log(`[Archive] Removing rows from sheet: ${sheet.getName()}, keepTargetRow: ${keepTargetRow}`);
     
-        const lastRow = sheet.getLastRow();
-        const allRows = Array.from(
-            { length: lastRow - ACTIVITY_HEADER_ROW_INDEX },
-            (_, i) => i + ACTIVITY_HEADER_ROW_INDEX + 1
-        );
+            const lastRow = sheet.getLastRow();
+            const allRows = Array.from(
+                { length: lastRow - ACTIVITY_HEADER_ROW_INDEX },
+                (_, i) => i + ACTIVITY_HEADER_ROW_INDEX + 1
+            );
     
-        if (!targetRows?.length && !keepTargetRow) {
-            Logger.log(`[Archive] No rows to remove from sheet: ${sheet.getName()}`);
-            return Archive._Result.success(null);
-        }
+            if (!targetRows?.length && !keepTargetRow) {
+                Logger.log(`[Archive] No rows to remove from sheet: ${sheet.getName()}`);
+                return Archive._Result.success(null);
+            }
     
-        if (!targetRows?.length && keepTargetRow) {
-            Logger.log(`[Archive] Removing all non-header rows from sheet: ${sheet.getName()}`);
+            if (!targetRows?.length && keepTargetRow) {
+                Logger.log(`[Archive] Removing all non-header rows from sheet: ${sheet.getName()}`);
             
-            if (lastRow > ACTIVITY_HEADER_ROW_INDEX) {
-                sheet.deleteRows(ACTIVITY_HEADER_ROW_INDEX + 1, lastRow - ACTIVITY_HEADER_ROW_INDEX);
-            } else {
-                Logger.log("[Archive] No rows to delete.");
-            }
+                if (lastRow > ACTIVITY_HEADER_ROW_INDEX) {
+                    sheet.deleteRows(ACTIVITY_HEADER_ROW_INDEX + 1, lastRow - ACTIVITY_HEADER_ROW_INDEX);
+                } else {
+                    Logger.log("[Archive] No rows to delete.");
+                }
         
-            return Archive._Result.success(null);
-        }
+                return Archive._Result.success(null);
+            }
     
-        const expiredRows = this._getExpiredRowIndices(sheet);
-        const rowsToRemove = keepTargetRow
-            ? allRows.filter(row => !targetRows.includes(row) || expiredRows.includes(row))
-            : targetRows;
+            const expiredRows = this._getExpiredRowIndices(sheet);
+            const rowsToRemove = keepTargetRow
+                ? allRows.filter(row => !targetRows.includes(row) || expiredRows.includes(row))
+                : targetRows;
     
-        Logger.log(`[Archive] Removing ${rowsToRemove.length} rows from sheet: ${sheet.getName()}`);
+            Logger.log(`[Archive] Removing ${rowsToRemove.length} rows from sheet: ${sheet.getName()}`);
     
-        if (rowsToRemove.length > 0) {
-            // Sort rows in ascending order
-            rowsToRemove.sort((a, b) => a - b);
+            if (rowsToRemove.length > 0) {
+                // Sort rows in ascending order
+                rowsToRemove.sort((a, b) => a - b);
     
-            // Process batch deletions while dynamically adjusting for row shifts
-            let adjustedShift = 0; // Keeps track of how many rows have been deleted
-            let batchStart = rowsToRemove[0];
-            let batchLength = 1;
+                // Process batch deletions while dynamically adjusting for row shifts
+                let adjustedShift = 0; // Keeps track of how many rows have been deleted
+                let batchStart = rowsToRemove[0];
+                let batchLength = 1;
     
-            for (let i = 1; i < rowsToRemove.length; i++) {
-                const currentRow = rowsToRemove[i];
-                const previousRow = rowsToRemove[i - 1];
+                for (let i = 1; i < rowsToRemove.length; i++) {
+                    const currentRow = rowsToRemove[i];
+                    const previousRow = rowsToRemove[i - 1];
     
-                if (currentRow === previousRow + 1) {
-                    // Rows are contiguous, increase the batch length
-                    batchLength++;
-                } else {
-                    // Rows are non-contiguous, delete the current batch
-                    sheet.deleteRows(batchStart - adjustedShift, batchLength);
-                    adjustedShift += batchLength; // Adjust shift for deleted rows
+                    if (currentRow === previousRow + 1) {
+                        // Rows are contiguous, increase the batch length
+                        batchLength++;
+                    } else {
+                        // Rows are non-contiguous, delete the current batch
+                        sheet.deleteRows(batchStart - adjustedShift, batchLength);
+                        adjustedShift += batchLength; // Adjust shift for deleted rows
     
-                    // Start a new batch
-                    batchStart = currentRow;
-                    batchLength = 1;
+                        // Start a new batch
+                        batchStart = currentRow;
+                        batchLength = 1;
+                    }
                 }
-            }
     
-            // Delete the final batch
-            sheet.deleteRows(batchStart - adjustedShift, batchLength);
-        }
+                // Delete the final batch
+                sheet.deleteRows(batchStart - adjustedShift, batchLength);
+            }
     
-        return Archive._Result.success(null);
+            return Archive._Result.success(null);
+        }, 2, 60000);
     }
     _shouldSkipSheet(sheetName) {
         // Only exclude sheets that contain '_SUBMIT'
@@ -429,6 +429,16 @@ class Attachment {
         Logger.log(`[handleAttachmentExpired] Attachment marked as expired and protected`);
     }
 
+    /**
+     * Handles cancelled attachments by renaming and protecting them.
+     */
+    handleAttachmentCancelled() {
+        Logger.log(`[handleAttachmentCancelled] Handling cancelled attachment`);
+        this.getAttachment().rename(RequesterStatus.CANCELLED + " " + this.getFileName());
+        this.protectSpreadsheet();
+        Logger.log(`[handleAttachmentCancelled] Attachment marked as cancelled and protected`);
+    }
+
     updateRequesterValues(status, name) {
         setValueWithCellRef(
             this.getAttachment(), AttachmentValues.REQUESTER_STATUS_CELL,
@@ -203,21 +203,39 @@ class EmailHandler extends EmailNotification {
         );
     }
 
+    /**
+     * Sends the approval request. Each approver gets a separate email because the
+     * Approve / Reject / Send Back links are signed for that approver's address.
+     * 
+     * @param {Object} ctx ATTACHMENT_SYNC_CONTEXTS entry of the approval level.
+     * @returns {boolean} True if every email is sent successfully, false otherwise.
+     */
     sendEmailAskApproval(ctx) {
-        const { ATTACHMENT } = this.activity.getActivityValueMap(); // Retrieve activity data.
+        const { ATTACHMENT, REQUEST_NUMBER } = this.activity.getActivityValueMap(); // Retrieve activity data.
         const additionalBody = `A new request needs your approval. Please review and approve it using the link below:\n` +
             `${ATTACHMENT}`;
         const additionalSubject = 'Request for Approval';
         const recipient = 'Approver';
 
         const emailAddress = this.getEmailApprover(ctx) // Get the email address of the approver.
-
-        return this.sendEmail(
-            emailAddress,
-            recipient,
-            additionalSubject,
-            additionalBody
-        );
+        if (!emailAddress || emailAddress.length === 0) return false;
+
+        return emailAddress.map(email => {
+            const links = createApprovalLinks(REQUEST_NUMBER, ctx.prop, email);
+            const decisionLinks = links
+                ? `\nOr record your decision directly (links expire in ${EXPIRED_DAY_LIMIT} days and can be used once):\n` +
+                Object.entries(links)
+                    .map(([decision, url]) => `<a href="${url}">${decision}</a>`)
+                    .join(' | ')
+                : '';
+
+            return this.sendEmail(
+                [email],
+                recipient,
+                additionalSubject,
+                additionalBody + decisionLinks
+            );
+        }).every(Boolean);
     }
 
     /**
@@ -272,6 +290,36 @@ class EmailHandler extends EmailNotification {
         );
     }
 
+    /**
+     * Notifies the MDM agent that a request in progress was cancelled by the requester.
+     * 
+     * @param {string} agentName The agent (workspace sheet) the request was allocated to.
+     * @param {string} [reason] Cancellation reason.
+     * @returns {boolean} True if the email is sent successfully, false otherwise.
+     */
+    sendEmailCancelled(agentName, reason = null) {
+        const { EMAIL_ADDRESS, ATTACHMENT } = this.activity.getActivityValueMap(); // Retrieve activity data.
+        const additionalBody =
+            `This request has been cancelled by ${EMAIL_ADDRESS} and removed from your workspace. Please stop processing it.\n` +
+            (reason ? `Reason: ${reason}\n` : '') +
+            `Link attachment: ${ATTACHMENT}`;
+        const additionalSubject = 'Request Cancelled';
+
+        // Agent address from the "Calendar" config sheet; the MDM group is always in CC
+        const agentEmail = getMdmCalendar(agentName).email;
+        if (!agentEmail) {
+            Logger.log(`[sendEmailCancelled] No email configured for ${agentName}; sending to the MDM group only.`);
+        }
+
+        return this.sendEmail(
+            [agentEmail || EMAIL_MDM_GROUP],
+            agentName,
+            additionalSubject,
+            additionalBody,
+            agentEmail ? { cc: EMAIL_MDM_GROUP } : {}
+        );
+    }
+
     /**
      * Sends an email when a request is rejected.
      * 
@@ -41,6 +41,20 @@ class Request {
         }
     }
 
+    /**
+     * Heartbeat of the row lock this request runs under (beat() of withRowLock / withKeyLocks).
+     * Handlers call this.beat() between slow phases so the lock is not taken over mid-way.
+     * @param {Function} beat - Lock heartbeat
+     */
+    setLockBeat(beat) {
+        this._lockBeat = beat || null;
+        return this;
+    }
+
+    beat() {
+        if (this._lockBeat) this._lockBeat();
+    }
+
     /**
      * Get cached activity value map to avoid expensive repeated calls
      */
@@ -546,6 +560,7 @@ class Request {
         this.handleTaskRowMigration();
         const migrationTime = new Date() - stepStart;
         Logger.log(`[OnInterval-Debug] handleTaskRowMigration completed in ${migrationTime}ms`);
+        this.beat();
 
         stepStart = new Date();
         // Pre-load cache for better performance
@@ -601,6 +616,7 @@ class Request {
             }
             const attachmentContextTime = new Date() - stepStart;
             Logger.log(`[OnInterval-Debug] Attachment contexts processing completed in ${attachmentContextTime}ms (found ${attachmentContexts.length} contexts)`);
+            this.beat();
 
             // Early exit if no contexts to process
             if (attachmentContexts.length === 0) {
@@ -616,6 +632,7 @@ class Request {
             });
 
             for (let i = 0; i < attachmentContexts.length; i++) {
+                this.beat();
                 const iterationStart = new Date();
                 const attachmentCtx = attachmentContexts[i];
                 const { isExist, isApprover, status } = attachmentCtx;
@@ -763,6 +780,7 @@ class Request {
         this.handleTaskRowMigration();
         const migrationTime = new Date() - stepStart;
         Logger.log(`[OnEdit-Debug] handleTaskRowMigration completed in ${migrationTime}ms`);
+        this.beat();
 
         stepStart = new Date();
         const hasRequesterTime = new Date() - stepStart;
@@ -839,6 +857,7 @@ class Request {
 
         try {
             this.handleTaskRowMigration();
+            this.beat();
 
             const {
                 PROCESS_STATUS,
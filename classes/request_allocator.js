@@ -1,11 +1,31 @@
 class RequestAllocator {
-  constructor(request) {
+  /**
+   * @param {Request|null} request - Request to allocate; null in a simulation
+   * @param {Object} [options={}]
+   * @param {Object} [options.simulation] - Dry run (see utils/allocation_simulation_utils.js):
+   *   { valueMap, date, workloads, roundRobin, masterConfig, estimates, matrix, allocationSheet }.
+   *   Uses the given config and in-memory state only and writes nothing.
+   */
+  constructor(request, options = {}) {
+    const simulation        = options.simulation || null;
     this.request            = request;
-    this.activity           = request.activity;
-    this.masterConfig       = new MasterConfig();
+    this.activity           = request ? request.activity : null;
+    // A replay shares one config and one estimates map across all its allocators
+    this.masterConfig       = (simulation && simulation.masterConfig) || new MasterConfig();
     // SANITIZED: Use generic default agent
     this.DEFAULT_ALLOCATION = 'AGENT_01';
     this.LOG_PREFIX         = '[RequestAllocator]';
+    this.baseline           = null;
+    this.estimates          = (simulation && simulation.estimates) || null;
+    this.estimatedTime      = 0;
+    this.priorityScore      = 0;
+    this.highPriority       = false;
+    this.excluded           = [];
+    // Open rows of every agent sheet, read at most once per allocate()
+    this.openRows           = null;
+    this.simulation         = simulation;
+    // Decision record of the last allocate() call, see utils/allocation_decision_utils.js
+    this.decision           = null;
   }
 
   _log(level, ...msgs) {
@@ -38,8 +58,34 @@ class RequestAllocator {
     }
   }
 
+  _getValueMap() {
+    return this.simulation ? this.simulation.valueMap : this.activity.getActivityValueMap();
+  }
+
+  _now() {
+    return this.simulation ? new Date(this.simulation.date) : new Date();
+  }
+
+  /**
+   * Simulated agents are available unless on leave on the simulated date;
+   * their load comes from the replayed assignments.
+   */
+  _getSimulatedWorkload(name) {
+    const mdmName = String(name || '').trim().toUpperCase();
+    const calendar = getMdmCalendar(mdmName);
+    const onLeave = isOnLeave(this._now(), calendar);
+    return {
+      mdmName: mdmName,
+      totalTimeSeconds: this.simulation.workloads[mdmName] || 0,
+      status: onLeave,
+      onLeave: onLeave,
+      calendar: calendar
+    };
+  }
+
   _getWorkload(name) {
     const cleanName = String(name || '').trim();
+    if (this.simulation) return this._getSimulatedWorkload(cleanName);
     
     // 1. Get STATUS from Sheet
     const sheet = getMasterSpreadsheet('WORKLOAD MDM');
@@ -60,41 +106,265 @@ class RequestAllocator {
        this._log('warn', `MDM "${name}" not found in sheet for Status check.`);
     }
 
-    // 2. Get TOTAL TIME from Properties
+    // 2. Planned leave from the agent calendar
+    const calendar = getMdmCalendar(realName);
+    const onLeave = isOnLeave(new Date(), calendar);
+    if (!status && onLeave) {
+       this._log('info', `MDM "${realName}" is on leave today → busy.`);
+       status = true;
+    }
+
+    // 3. Get TOTAL TIME from Properties
     const totalTimeSeconds = getMdmWorkloadFromProperty(realName);
 
     const wl = {
       mdmName: realName,
       totalTimeSeconds: totalTimeSeconds, 
-      status: status 
+      status: status,
+      onLeave: onLeave,
+      calendar: calendar
     };
 
     this._log('info', `Workload "${wl.mdmName}": Status=${wl.status}, TotalTime=${wl.totalTimeSeconds}s (via Props)`);
     return wl;
   }
 
+  _getEstimates() {
+    if (this.estimates === null) {
+      this.estimates = getMdmWorkloadEstimates() || {};
+    }
+    return this.estimates;
+  }
+
+  /**
+   * Seconds this agent needs for the request: own per-task speed from "MDM EST" x TOTAL_TASK,
+   * or the generic baseline estimate when the agent has no speed for the request type.
+   */
+  _estimateFor(mdmName) {
+    const { requestTypeKey, totalTask, estimatedTime } = this.baseline || {};
+    const perTask = getMdmTaskEstimate(this._getEstimates(), mdmName, requestTypeKey);
+    const tasks = Number(totalTask);
+
+    if (perTask > 0 && tasks > 0) return perTask * tasks;
+    return Number(estimatedTime) || 0;
+  }
+
+  _getOpenRows() {
+    if (this.openRows === null) {
+      this.openRows = getOpenAgentRows();
+    }
+    return this.openRows;
+  }
+
+  _getPriorityScore() {
+    if (this.simulation) return Number(this.simulation.valueMap.PRIORITY_SCORE) || 0;
+    try {
+      return this.activity.getPriorityScore(this.masterConfig);
+    } catch (e) {
+      this._log('warn', `Priority score unavailable: ${e.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Whether the request would push a working day over the agent's daily caps.
+   * The queue and the request are laid out day by day on the agent's calendar (the
+   * addWorkingSeconds timeline of the projection); every day the request is worked on must
+   * stay within maxOpenSeconds, and within maxOpenTasks with each row's tasks spread over
+   * its days in proportion to the seconds worked on them.
+   * Historical open rows are not known, so a simulation only applies the seconds cap.
+   */
+  _isOverDailyCap(wl, queueSeconds, estimatedSeconds) {
+    const { maxOpenSeconds, maxOpenTasks } = wl.calendar || {};
+    if (!maxOpenSeconds && !maxOpenTasks) return false;
+
+    const now = this._now();
+    const requestStart = addWorkingSeconds(now, queueSeconds, wl.calendar);
+    const requestSeconds = getWorkingSecondsByDay(requestStart, estimatedSeconds, wl.calendar);
+    const requestDays = Object.keys(requestSeconds).length > 0 ? Object.keys(requestSeconds) : [requestStart.toDateString()];
+
+    if (maxOpenSeconds) {
+      const secondsByDay = getWorkingSecondsByDay(now, queueSeconds + estimatedSeconds, wl.calendar);
+      const day = requestDays.find(d => (secondsByDay[d] || 0) > maxOpenSeconds);
+      if (day) {
+        this._log('info', `"${wl.mdmName}" would work ${Math.round(secondsByDay[day])}s on ${day} (cap ${maxOpenSeconds}s).`);
+        return true;
+      }
+    }
+
+    if (maxOpenTasks && !this.simulation) {
+      const tasksByDay = {};
+      const addTasks = (start, seconds, tasks) => {
+        const byDay = getWorkingSecondsByDay(start, seconds, wl.calendar);
+        const days = Object.keys(byDay);
+        if (days.length === 0) {
+          tasksByDay[start.toDateString()] = (tasksByDay[start.toDateString()] || 0) + tasks;
+          return;
+        }
+        days.forEach(d => { tasksByDay[d] = (tasksByDay[d] || 0) + tasks * byDay[d] / seconds; });
+      };
+
+      let offsetSeconds = 0;
+      getMdmQueueRows(wl.mdmName, this.highPriority ? this.priorityScore : null, this._getOpenRows()).forEach(row => {
+        if (row.totalTask > 0) addTasks(addWorkingSeconds(now, offsetSeconds, wl.calendar), row.remainingSeconds, row.totalTask);
+        offsetSeconds += row.remainingSeconds;
+      });
+      addTasks(requestStart, estimatedSeconds, Number((this.baseline || {}).totalTask) || 0);
+
+      const day = requestDays.find(d => (tasksByDay[d] || 0) > maxOpenTasks);
+      if (day) {
+        this._log('info', `"${wl.mdmName}" would have ${Math.ceil(tasksByDay[day])} tasks on ${day} (cap ${maxOpenTasks}).`);
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Adds the projected load (queue + own estimate), the finish date on the agent's
+   * calendar and whether the load would exceed the agent's daily caps.
+   * The queue is the whole workload, or for a high-priority request only the work
+   * sorted ahead of it on the agent sheet (not known in a simulation).
+   */
+  _project(wl) {
+    const estimatedSeconds = this._estimateFor(wl.mdmName);
+    const queueSeconds = this.highPriority && !this.simulation
+      ? getMdmQueueAheadSeconds(wl.mdmName, this.priorityScore, this._getOpenRows())
+      : wl.totalTimeSeconds;
+    const projectedSeconds = queueSeconds + estimatedSeconds;
+    const overCap = this._isOverDailyCap(wl, queueSeconds, estimatedSeconds);
+
+    const projected = {
+      ...wl,
+      estimatedSeconds: estimatedSeconds,
+      queueSeconds: queueSeconds,
+      projectedSeconds: projectedSeconds,
+      projectedFinish: addWorkingSeconds(this._now(), projectedSeconds, wl.calendar).getTime(),
+      overCap: overCap
+    };
+
+    this._log('debug', `Projection "${wl.mdmName}": ${queueSeconds}s + ${estimatedSeconds}s = ${projectedSeconds}s, ` +
+      `finish ${getDateNow(new Date(projected.projectedFinish))}${overCap ? ' (over cap)' : ''}`);
+    return projected;
+  }
+
+  _isExcluded(mdmName) {
+    return this.excluded.includes(String(mdmName || '').trim().toUpperCase());
+  }
+
+  _noteFallback(reason) {
+    this.decision.fallback = this.decision.fallback ? `${this.decision.fallback}; ${reason}` : reason;
+  }
+
+  _select(mdmName, path = null, fallback = null) {
+    if (path) this.decision.path = path;
+    if (fallback) this._noteFallback(fallback);
+
+    if (this._isExcluded(mdmName)) {
+      this._log('warn', `"${mdmName}" is excluded from this allocation → no agent.`);
+      this.estimatedTime = 0;
+      this._noteFallback(`"${mdmName}" is excluded`);
+      return null;
+    }
+    this.estimatedTime = this._estimateFor(mdmName);
+    this.decision.winner = mdmName;
+    this.decision.estimatedTime = this.estimatedTime;
+    return mdmName;
+  }
+
+  /**
+   * Adds the evaluated agents of one candidate group to the decision record
+   * @param {string} group - Matrix request type or BAU PIC/backup cell
+   * @param {Array<Object>} workloads - _getWorkload results
+   * @param {Array<Object>} [projected=[]] - _project results of the available ones
+   */
+  _noteCandidates(group, workloads, projected = []) {
+    workloads.forEach(wl => {
+      const p = projected.find(c => c.mdmName === wl.mdmName);
+      this.decision.candidates.push({
+        group: group,
+        mdmName: wl.mdmName,
+        status: wl.onLeave ? 'On Leave' : (wl.status ? 'Busy' : 'Available'),
+        totalTimeSeconds: wl.totalTimeSeconds,
+        ...(p && {
+          estimatedSeconds: p.estimatedSeconds,
+          queueSeconds: p.queueSeconds,
+          projectedSeconds: p.projectedSeconds,
+          projectedFinish: getDateNow(new Date(p.projectedFinish)),
+          overCap: p.overCap
+        })
+      });
+    });
+  }
+
   isSpecialRequest(dep) {
     return dep === 'SPECIAL PROJECT';
   }
 
+  _roundRobin(ruleKey, requestType, mdmList) {
+    const rule = getRoundRobinRule(requestType);
+    if (!this.simulation) return getNextMdmViaRoundRobin(ruleKey, mdmList, rule);
+
+    const states = this.simulation.roundRobin;
+    states[ruleKey] = states[ruleKey] || {};
+    return pickRoundRobin(states[ruleKey], mdmList, rule, this._now().getTime());
+  }
+
   updateMdmWorkload(mdmName, timeToAddSeconds) {
-    updateMdmWorkloadProperty(mdmName, timeToAddSeconds);
+    if (this.simulation) return;
+    const { REQUEST_NUMBER } = this.activity.getActivityValueMap();
+    updateMdmWorkloadProperty(mdmName, timeToAddSeconds, WorkloadLedgerReason.ALLOCATED, REQUEST_NUMBER, 'allocate');
   }
 
-  allocate() {
-    const m = this.activity.getActivityValueMap();
+  /**
+   * Picks the agent that would finish the request earliest.
+   * The chosen agent's estimate is available on this.estimatedTime and the request's
+   * priority score on this.priorityScore afterwards.
+   * @param {Object} [baseline=null] - handleBaseline result { requestTypeKey, totalTask, estimatedTime }
+   * @param {Array<string>} [excludedAgents=[]] - Agents that must not receive the request (e.g. on leave)
+   * @returns {string|null} Agent name, null when only excluded agents are left
+   */
+  allocate(baseline = null, excludedAgents = []) {
+    const m = this._getValueMap();
     const currentRequestType = m.REQUEST_TYPE;
+    this.baseline = baseline;
+    this.excluded = excludedAgents.map(name => String(name).trim().toUpperCase());
+    this.openRows = null;
+    prefetchHolidays(this._now(), ALLOCATION_HOLIDAY_PREFETCH_DAYS);
+    this.priorityScore = this._getPriorityScore();
+    this.highPriority = this.priorityScore >= PRIORITY_ALLOCATION_THRESHOLD;
+    if (this.highPriority) {
+      this._log('info', `High priority (score ${this.priorityScore}) → comparing the queue ahead of this priority.`);
+    }
+    this.decision = {
+      requestNumber: m.REQUEST_NUMBER || null,
+      requestType: currentRequestType,
+      decidedAt: getDateNow(this._now()),
+      priorityScore: this.priorityScore,
+      highPriority: this.highPriority,
+      path: null,
+      ruleKey: null,
+      candidates: [],
+      excluded: this.excluded,
+      tieBreak: null,
+      fallback: null,
+      winner: null,
+      estimatedTime: 0
+    };
 
     // "Special Project" check
     if (this.isSpecialRequest(m.DEPARTMENT)) { 
       this._log('info', `Special project → default "${this.DEFAULT_ALLOCATION}"`);
-      return this.DEFAULT_ALLOCATION;
+      return this._select(this.DEFAULT_ALLOCATION, AllocationPath.SPECIAL_PROJECT);
     }
 
     // --- UNIFIED ALLOCATION LOGIC ---
 
     // 1. Get Permission Matrix from "Distribution" Sheet
-    const matrix = getMdmDistributionMatrix(); 
+    const matrix = this.simulation
+      ? this.simulation.matrix
+      : getMdmDistributionMatrix(); 
     
     let matrixCandidates = [];
     if (matrix && matrix[currentRequestType]) {
@@ -103,45 +373,64 @@ class RequestAllocator {
 
     // IF IN MATRIX -> Run Scaled RR
     if (matrixCandidates.length > 0) {
-        const candidateNames = matrixCandidates.map(name => name.toUpperCase());
+        const candidateNames = matrixCandidates
+            .map(name => name.toUpperCase())
+            .filter(name => !this._isExcluded(name));
         this._log('info', `🎯 Matrix Match (Distribusi) for "${currentRequestType}". Candidates: [${candidateNames.join(', ')}].`);
+        this.decision.path = AllocationPath.MATRIX;
+        this.decision.ruleKey = `MATRIX|${currentRequestType}`;
 
         // A. Get Workload Data
         const candidatesData = candidateNames
             .map(name => this._getWorkload(name)) 
             .filter(data => data !== null);
 
-        // B. Filter only AVAILABLE (Status = FALSE)
-        const availableCandidates = candidatesData.filter(c => c.status === false);
+        // B. Filter only AVAILABLE (Status = FALSE) and within their caps
+        const projectedCandidates = candidatesData
+            .filter(c => c.status === false)
+            .map(c => this._project(c));
+        const availableCandidates = projectedCandidates.filter(c => !c.overCap);
+        this._noteCandidates(currentRequestType, candidatesData, projectedCandidates);
 
         if (availableCandidates.length > 0) {
-             // C. Find Lowest Workload
-             const minWorkload = Math.min(...availableCandidates.map(c => c.totalTimeSeconds));
+             // C. Find Earliest Projected Finish (workload + own estimate on own calendar)
+             const minProjected = Math.min(...availableCandidates.map(c => c.projectedFinish));
              
-             // D. Get list of candidates with lowest workload
+             // D. Get list of candidates finishing within the tie tolerance of the earliest,
+             //    so the round-robin weights decide between agents that finish about the same time
+             const toleranceMs = ALLOCATION_TIE_TOLERANCE_SECONDS * 1000;
              const bestCandidates = availableCandidates
-                 .filter(c => c.totalTimeSeconds === minWorkload)
+                 .filter(c => c.projectedFinish - minProjected <= toleranceMs)
                  .map(c => c.mdmName);
 
-             this._log('debug', `Lowest Workload (Total Time): ${minWorkload}s. Finalists: [${bestCandidates.join(', ')}]`);
+             this._log('debug', `Earliest Finish (Projected): ${getDateNow(new Date(minProjected))} ` +
+               `(+${ALLOCATION_TIE_TOLERANCE_SECONDS}s). Finalists: [${bestCandidates.join(', ')}]`);
 
              // E. Pick Winner (Round-Robin if tie)
              let assignedMdm = null;
              if (bestCandidates.length === 1) {
                  assignedMdm = bestCandidates[0];
-                 this._log('info', `Scaled RR: Assigning to ${assignedMdm} (Winner - Lowest Load).`);
+                 this._log('info', `Scaled RR: Assigning to ${assignedMdm} (Winner - Earliest Finish).`);
              } else {
                  const ruleKey = `MATRIX_RR|${currentRequestType}`; 
-                 assignedMdm = getNextMdmViaRoundRobin(ruleKey, bestCandidates);
+                 assignedMdm = this._roundRobin(ruleKey, currentRequestType, bestCandidates);
+                 this.decision.tieBreak = {
+                   ruleKey: ruleKey,
+                   mode: getRoundRobinRule(currentRequestType).mode,
+                   finalists: bestCandidates,
+                   toleranceSeconds: ALLOCATION_TIE_TOLERANCE_SECONDS,
+                   selected: assignedMdm
+                 };
                  this._log('info', `Scaled RR: Tie-break used. Selected: ${assignedMdm}.`);
              }
 
-             if (assignedMdm) return assignedMdm;
+             if (assignedMdm) return this._select(assignedMdm);
 
         } else {
-            this._log('warn', `Scaled RR: All candidates busy (Status=TRUE).`);
+            this._log('warn', `Scaled RR: All candidates busy, on leave or over their cap.`);
         }
         this._log('warn', `Scaled RR failed, falling back to BAU.`);
+        this._noteFallback('Matrix candidates busy, on leave or over cap → BAU');
     } else {
         this._log('info', `Request Type "${currentRequestType}" not found in Distribution Matrix. Using BAU.`);
     }
@@ -153,19 +442,22 @@ class RequestAllocator {
         companyCode: m.COMPANY_CODE_NAME,
         requestType: m.REQUEST_TYPE,
         department: m.DEPARTMENT,
+        ...(this.simulation && { sheetName: this.simulation.allocationSheet }),
     }); 
 
     if (!allocationRule) {
       this._log('warn', `BAU: No allocation rule found... → default "${this.DEFAULT_ALLOCATION}"`);
-      return this.DEFAULT_ALLOCATION;
+      return this._select(this.DEFAULT_ALLOCATION, AllocationPath.DEFAULT, 'No Work Allocation rule');
     }
+    this.decision.path = AllocationPath.BAU;
+    this.decision.ruleKey = allocationRule.key;
 
     const candidates = [allocationRule.pic, ...(allocationRule.backups || [])];
     for (const raw of candidates) {
         const names = raw
         .split(',')
         .map(n => n.trim())
-        .filter(n => n);
+        .filter(n => n && !this._isExcluded(n));
 
         if (names.length === 0) continue;
 
@@ -179,6 +471,7 @@ class RequestAllocator {
         }
         // if *all* are busy, skip
       if (workloads.every(wl => wl.status === true)) {
+        this._noteCandidates(raw, workloads);
         this._log(
           'info',
           `All of [${names.join(', ')}] busy → skipping "${raw}"`
@@ -186,25 +479,35 @@ class RequestAllocator {
         continue;
       }
 
-      // pick only the free ones
-      const freeOnes = workloads.filter(wl => wl.status === false);
-      // choose the one with the smallest seconds
+      // pick only the free ones that stay within their caps
+      const projectedOnes = workloads
+        .filter(wl => wl.status === false)
+        .map(wl => this._project(wl));
+      const freeOnes = projectedOnes.filter(wl => !wl.overCap);
+      this._noteCandidates(raw, workloads, projectedOnes);
+
+      if (freeOnes.length === 0) {
+        this._log('info', `All free ones of [${names.join(', ')}] over cap → skipping "${raw}"`);
+        continue;
+      }
+
+      // choose the one finishing earliest
       const best = freeOnes.reduce((a, b) =>
-        b.totalTimeSeconds < a.totalTimeSeconds ? b : a
+        b.projectedFinish < a.projectedFinish ? b : a
       );
 
       this._log(
         'info',
-        `Allocating to "${best.mdmName}" (from "${raw}") with lowest ` +
-        `Est.Time=${best.totalTimeSeconds}s`
+        `Allocating to "${best.mdmName}" (from "${raw}") with earliest ` +
+        `finish=${best.projectedSeconds}s (Est.Time=${best.estimatedSeconds}s)`
       );
-      return best.mdmName;
+      return this._select(best.mdmName);
     }
 
     this._log(
       'warn',
       `No available PIC/backups → default "${this.DEFAULT_ALLOCATION}"`
     );
-    return this.DEFAULT_ALLOCATION;
+    return this._select(this.DEFAULT_ALLOCATION, AllocationPath.DEFAULT, 'No available PIC/backups');
   }
 }
\ No newline at end of file
@@ -0,0 +1,499 @@
+/**
+ * Endpoint registry of the web app API.
+ *
+ * Every route handled by handleRequest is declared here together with its contract;
+ * the router (scopes, body `action` aliases, path parameters) and the OpenAPI document
+ * served on GET ?path=/openapi.json are both built from this list.
+ *
+ * Entry:
+ *   method      : 'GET' | 'POST'
+ *   path        : route, path parameters as {name} (one segment each, exposed decoded on e.pathParams)
+ *   action      : body `action` value that routes a POST without ?path= (child scripts)
+ *   handler     : function(e) returning a TextOutput
+ *   scope       : ApiScopes value required from the client, or null
+ *   public      : true to skip client authentication
+ *   query       : query parameters { name: { schema, required, description } }
+ *   requestBody : JSON schema of the POST body
+ *   response    : JSON schema of `data` in the success envelope
+ *   rateLimit   : { limit, windowSec } per client, defaults to RATE_LIMIT_DEFAULT
+ *
+ * Built lazily because handlers and enums live in other files.
+ */
+function getApiEndpoints() {
+    const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+    const requestNumber = { type: 'string', description: 'Request number, e.g. PROMO/MDM/BU01/00042 (in a path, "/" is sent as %2F)' };
+
+    return [
+        {
+            method: 'POST',
+            path: '/request',
+            handler: handleRequestSubmission,
+            scope: ApiScopes.REQUEST_SUBMIT,
+            summary: 'Submit a request',
+            description: 'Fields depend on requestType, see GET /request_schema. ' +
+                'Send idempotencyKey to make retries safe.',
+            requestBody: ref('RequestPayload'),
+            response: ref('SubmissionResult'),
+        },
+        {
+            method: 'POST',
+            path: '/requests/batch',
+            action: 'request_batch',
+            handler: handleBatchRequestSubmission,
+            scope: ApiScopes.REQUEST_SUBMIT,
+            rateLimit: { limit: 10, windowSec: 60 },
+            summary: 'Submit several requests at once',
+            description: `Up to ${MAX_BATCH_REQUESTS} requests. A failing item never fails the batch.`,
+            requestBody: {
+                type: 'object',
+                required: ['requests'],
+                properties: {
+                    requests: { type: 'array', maxItems: MAX_BATCH_REQUESTS, items: ref('RequestPayload') }
+                }
+            },
+            response: ref('BatchResult'),
+        },
+        {
+            method: 'GET',
+            path: '/request_status',
+            handler: handleRequestStatus,
+            scope: ApiScopes.REQUEST_READ,
+            summary: 'Look up the status of a request',
+            query: { requestNumber: { schema: requestNumber, required: true } },
+            response: ref('RequestStatus'),
+        },
+        {
+            method: 'POST',
+            path: '/request_status',
+            action: 'request_status',
+            handler: handleRequestStatus,
+            scope: ApiScopes.REQUEST_READ,
+            summary: 'Look up the status of a request',
+            requestBody: {
+                type: 'object',
+                required: ['requestNumber'],
+                properties: { requestNumber: requestNumber }
+            },
+            response: ref('RequestStatus'),
+        },
+        {
+            method: 'GET',
+            path: '/request_schema',
+            handler: handleRequestSchema,
+            scope: ApiScopes.REQUEST_READ,
+            summary: 'Payload schema per request type',
+            query: { requestType: { schema: { type: 'string', enum: Object.values(RequestTypes) } } },
+            response: { type: 'object', additionalProperties: ref('PayloadSchemaDocument') },
+        },
+        {
+            method: 'POST',
+            path: '/request_schema',
+            action: 'request_schema',
+            handler: handleRequestSchema,
+            scope: ApiScopes.REQUEST_READ,
+            summary: 'Payload schema per request type',
+            requestBody: {
+                type: 'object',
+                properties: { requestType: { type: 'string', enum: Object.values(RequestTypes) } }
+            },
+            response: { type: 'object', additionalProperties: ref('PayloadSchemaDocument') },
+        },
+        {
+            method: 'POST',
+            path: '/request/{requestNumber}/decision',
+            action: 'request_decision',
+            handler: handleRequestDecision,
+            scope: ApiScopes.REQUEST_DECIDE,
+            summary: 'Record an approver decision',
+            description: 'With body action request_decision the request number is read from the body.',
+            requestBody: {
+                type: 'object',
+                required: ['level', 'decision', 'email'],
+                properties: {
+                    requestNumber: requestNumber,
+                    level: {
+                        type: 'string',
+                        enum: ATTACHMENT_SYNC_CONTEXTS.filter(ctx => ctx.levelOrder > 0).map(ctx => ctx.prop)
+                    },
+                    decision: { type: 'string', enum: Object.values(ApproverStatus) },
+                    email: { type: 'string', format: 'email' },
+                    name: { type: 'string' },
+                    note: { type: 'string' }
+                }
+            },
+            response: {
+                type: 'object',
+                properties: {
+                    message: { type: 'string' },
+                    requestNumber: { type: 'string' },
+                    level: { type: 'string' },
+                    decision: { type: 'string' },
+                    request: ref('RequestStatus')
+                }
+            },
+        },
+        {
+            method: 'POST',
+            path: '/request/{requestNumber}/cancel',
+            action: 'request_cancel',
+            handler: handleRequestCancellation,
+            scope: ApiScopes.REQUEST_CANCEL,
+            summary: 'Cancel a request on behalf of its requester',
+            description: 'email must be the requester of the request.',
+            requestBody: {
+                type: 'object',
+                required: ['email'],
+                properties: {
+                    requestNumber: requestNumber,
+                    email: { type: 'string', format: 'email' },
+                    reason: { type: 'string' }
+                }
+            },
+            response: {
+                type: 'object',
+                properties: {
+                    message: { type: 'string' },
+                    requestNumber: { type: 'string' },
+                    wasInProgress: { type: 'boolean' },
+                    releasedSeconds: { type: 'number' },
+                    request: ref('RequestStatus')
+                }
+            },
+        },
+        {
+            method: 'GET',
+            path: '/request/{requestNumber}/allocation',
+            handler: handleAllocationDecision,
+            scope: ApiScopes.REQUEST_READ,
+            summary: 'Why a request was allocated to its agent',
+            description: 'Latest decision record; all=true returns every allocation of the request.',
+            query: { all: { schema: { type: 'boolean' } } },
+            response: ref('AllocationDecisionResult'),
+        },
+        {
+            method: 'POST',
+            path: '/request/{requestNumber}/allocation',
+            action: 'allocation_decision',
+            handler: handleAllocationDecision,
+            scope: ApiScopes.REQUEST_READ,
+            summary: 'Why a request was allocated to its agent',
+            description: 'Latest decision record; all=true returns every allocation of the request.',
+            requestBody: {
+                type: 'object',
+                properties: {
+                    requestNumber: requestNumber,
+                    all: { type: 'boolean' }
+                }
+            },
+            response: ref('AllocationDecisionResult'),
+        },
+        {
+            method: 'POST',
+            path: '/update_workload',
+            action: 'update_workload',
+            handler: handleWorkloadUpdate,
+            scope: ApiScopes.WORKLOAD_WRITE,
+            rateLimit: { limit: 120, windowSec: 60 },
+            summary: 'Adjust the workload of an MDM agent',
+            description: 'Called by child scripts (callMasterApiToUpdateWorkload) when a request ' +
+                'moves between agents. Negative deltaSeconds release workload. ' +
+                'Every call is appended to the workload ledger.',
+            requestBody: {
+                type: 'object',
+                required: ['agent', 'deltaSeconds'],
+                properties: {
+                    agent: { type: 'string', description: 'Agent sheet name, e.g. AGENT_01' },
+                    deltaSeconds: { type: 'number' },
+                    requestNumber: { ...requestNumber, nullable: true },
+                    reason: {
+                        type: 'string',
+                        enum: Object.values(WorkloadLedgerReason),
+                        description: `Ledger reason, defaults to ${WorkloadLedgerReason.ADJUSTED}`
+                    }
+                }
+            },
+            response: {
+                type: 'object',
+                properties: {
+                    message: { type: 'string' },
+                    agent: { type: 'string' },
+                    totalSeconds: { type: 'number', description: 'Total workload of the agent in seconds' }
+                }
+            },
+        },
+        {
+            method: 'POST',
+            path: '/release_workload',
+            action: 'release_workload',
+            handler: handleWorkloadRelease,
+            scope: ApiScopes.WORKLOAD_WRITE,
+            rateLimit: { limit: 120, windowSec: 60 },
+            summary: 'Release the workload still booked for a request',
+            description: 'Called by child scripts when a request reaches Completed, Rejected, ' +
+                'Partially Rejected or is sent back. Only the outstanding ledger balance is released, ' +
+                'so repeated calls are safe.',
+            requestBody: {
+                type: 'object',
+                required: ['requestNumber', 'reason'],
+                properties: {
+                    requestNumber: requestNumber,
+                    reason: { type: 'string', enum: Object.values(WorkloadLedgerReason) },
+                    remainingSeconds: { type: 'number', minimum: 0, description: 'Seconds to keep booked, defaults to 0' }
+                }
+            },
+            response: {
+                type: 'object',
+                properties: {
+                    message: { type: 'string' },
+                    requestNumber: { type: 'string' },
+                    releasedSeconds: { type: 'number' },
+                    released: { type: 'object', additionalProperties: { type: 'number' }, description: 'Seconds per agent' }
+                }
+            },
+        },
+        {
+            method: 'GET',
+            path: '/openapi.json',
+            handler: handleOpenApiDocument,
+            scope: null,
+            public: true,
+            summary: 'This OpenAPI document',
+        },
+    ];
+}
+
+/**
+ * API versions. Paths may be prefixed with the version (/v2/request_status);
+ * unprefixed paths and body `action` routing resolve to API_DEFAULT_VERSION so
+ * existing child scripts keep working. Handlers implement API_CURRENT_VERSION.
+ */
+const API_CURRENT_VERSION = 'v2';
+const API_DEFAULT_VERSION = 'v1';
+
+const API_VERSIONS = {
+    v1: { deprecated: true, sunset: '2027-06-30', successor: 'v2' },
+    v2: { deprecated: false, sunset: null, successor: null },
+}
+
+/**
+ * Per-version adapters, keyed by "METHOD path" of the registry.
+ *   request(body)  : maps an old payload onto the current handler payload
+ *   errors(body)   : field errors ({ field, code, message }) of an old payload that cannot be mapped
+ *   response(data) : maps the current response data back to the old shape
+ *   requestBody / responseSchema   : contract of that version, for the OpenAPI document
+ */
+const API_VERSION_ADAPTERS = {
+    v1: {
+        'POST /update_workload': {
+            // The ledger reason cannot be told from a v1 delta, so v1 callers must send it
+            request: ({ mdmName, seconds, ...rest }) => ({ ...rest, agent: mdmName, deltaSeconds: seconds }),
+            errors: ({ reason }) => reason ? [] : [
+                { field: 'reason', code: 'required', message: 'reason is required for v1 workload updates.' }
+            ],
+            response: ({ agent, totalSeconds, ...rest }) => ({ ...rest, mdmName: agent, newTotal: totalSeconds }),
+            requestBody: {
+                type: 'object',
+                required: ['mdmName', 'seconds', 'reason'],
+                properties: {
+                    action: { type: 'string', enum: ['update_workload'] },
+                    mdmName: { type: 'string', description: 'Agent sheet name, e.g. AGENT_01' },
+                    seconds: { type: 'number' },
+                    requestNumber: { type: 'string', nullable: true },
+                    reason: { type: 'string', description: 'Ledger reason, same values as v2 (e.g. Transferred)' }
+                }
+            },
+            responseSchema: {
+                type: 'object',
+                properties: {
+                    message: { type: 'string' },
+                    mdmName: { type: 'string' },
+                    newTotal: { type: 'number', description: 'Total workload of the agent in seconds' }
+                }
+            },
+        },
+    },
+    v2: {},
+}
+
+/**
+ * Shared component schemas of the OpenAPI document
+ */
+function getApiComponentSchemas() {
+    const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+    const nullableString = { type: 'string', nullable: true };
+
+    return {
+        ApiMeta: {
+            type: 'object',
+            properties: {
+                apiVersion: { type: 'string', enum: Object.keys(API_VERSIONS) },
+                deprecated: { type: 'boolean' },
+                sunset: { type: 'string', format: 'date', nullable: true },
+                successor: { type: 'string', nullable: true }
+            }
+        },
+        FieldError: {
+            type: 'object',
+            properties: {
+                field: { type: 'string' },
+                code: { type: 'string', enum: ['required', 'type', 'enum', 'format', 'range'] },
+                message: { type: 'string' }
+            }
+        },
+        ErrorResponse: {
+            type: 'object',
+            properties: {
+                status: { type: 'string', enum: ['error'] },
+                message: { type: 'string' },
+                code: { type: 'integer', description: 'HTTP-like status code (Apps Script always answers 200)' },
+                retryAfter: { type: 'integer', description: 'Seconds to wait before retrying (code 429)' },
+                meta: ref('ApiMeta'),
+                errors: { type: 'array', items: ref('FieldError') }
+            }
+        },
+        SubmissionResult: {
+            type: 'object',
+            properties: {
+                message: { type: 'string' },
+                requestNumber: { type: 'string' },
+                attachmentUrl: { type: 'string', format: 'uri' },
+                timestamp: { type: 'string' },
+                idempotentReplay: { type: 'boolean' }
+            }
+        },
+        BatchResult: {
+            type: 'object',
+            properties: {
+                message: { type: 'string' },
+                total: { type: 'integer' },
+                succeeded: { type: 'integer' },
+                failed: { type: 'integer' },
+                results: {
+                    type: 'array',
+                    items: {
+                        allOf: [ref('SubmissionResult'), {
+                            type: 'object',
+                            properties: {
+                                index: { type: 'integer' },
+                                status: { type: 'string', enum: ['success', 'error'] },
+                                error: { type: 'string' },
+                                errors: { type: 'array', items: ref('FieldError') }
+                            }
+                        }]
+                    }
+                }
+            }
+        },
+        LevelStatus: {
+            type: 'object',
+            properties: {
+                level: { type: 'string' },
+                levelOrder: { type: 'integer' },
+                status: nullableString,
+                name: nullableString,
+                timestamp: nullableString
+            }
+        },
+        RequestStatus: {
+            type: 'object',
+            properties: {
+                requestNumber: { type: 'string' },
+                sheetName: { type: 'string' },
+                requestType: nullableString,
+                companyCodeName: nullableString,
+                department: nullableString,
+                timestamp: nullableString,
+                requester: ref('LevelStatus'),
+                approvers: { type: 'array', items: ref('LevelStatus') },
+                processedBy: nullableString,
+                processStatus: nullableString,
+                takenDate: nullableString,
+                processedDate: nullableString,
+                estimatedTimeFinished: nullableString,
+                sendBack: {
+                    type: 'object',
+                    properties: {
+                        count: { type: 'integer' },
+                        times: { type: 'array', items: { type: 'string' } },
+                        actors: { type: 'array', items: { type: 'string' } },
+                        history: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    timestamp: { type: 'string' },
+                                    activity: { type: 'string' },
+                                    actor: { type: 'string' },
+                                    reason: { type: 'string' }
+                                }
+                            }
+                        }
+                    }
+                },
+                attachmentUrl: nullableString
+            }
+        },
+        AllocationDecision: {
+            type: 'object',
+            properties: {
+                requestNumber: { type: 'string' },
+                requestType: nullableString,
+                decidedAt: { type: 'string' },
+                recordedAt: { type: 'string' },
+                priorityScore: { type: 'number', minimum: 0, maximum: 1 },
+                highPriority: { type: 'boolean' },
+                source: nullableString,
+                path: { type: 'string', enum: Object.values(AllocationPath) },
+                ruleKey: nullableString,
+                candidates: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            group: { type: 'string' },
+                            mdmName: { type: 'string' },
+                            status: { type: 'string', enum: ['Available', 'Busy', 'On Leave'] },
+                            totalTimeSeconds: { type: 'number' },
+                            estimatedSeconds: { type: 'number' },
+                            queueSeconds: { type: 'number' },
+                            projectedSeconds: { type: 'number' },
+                            projectedFinish: { type: 'string' },
+                            overCap: { type: 'boolean' }
+                        }
+                    }
+                },
+                excluded: { type: 'array', items: { type: 'string' } },
+                tieBreak: {
+                    type: 'object',
+                    nullable: true,
+                    properties: {
+                        ruleKey: { type: 'string' },
+                        mode: { type: 'string', enum: Object.values(RoundRobinMode) },
+                        finalists: { type: 'array', items: { type: 'string' } },
+                        toleranceSeconds: { type: 'number' },
+                        selected: { type: 'string' }
+                    }
+                },
+                fallback: nullableString,
+                winner: nullableString,
+                estimatedTime: { type: 'number' }
+            }
+        },
+        AllocationDecisionResult: {
+            type: 'object',
+            properties: {
+                requestNumber: { type: 'string' },
+                decision: ref('AllocationDecision'),
+                history: { type: 'array', items: ref('AllocationDecision') }
+            }
+        },
+        PayloadSchemaDocument: {
+            type: 'object',
+            properties: {
+                sheetName: { type: 'string' },
+                dateFormats: { type: 'array', items: { type: 'string' } },
+                fields: { type: 'object', additionalProperties: { type: 'object' } }
+            }
+        },
+    };
+}
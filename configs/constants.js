@@ -3,6 +3,7 @@ const DEV_CONSTANTS = {
     EMAIL_MDM_GROUP: 'admin.dev@example.com',
     EMAIL_CC_BOM: 'manager.bom@example.com',
     EMAIL_CC_SECOND: 'manager.second@example.com',
+    EMAIL_MDM_LEAD: 'lead.dev@example.com',
     // REPLACE THESE WITH YOUR OWN DUMMY SHEET IDs FOR THE DEMO
     MASTER_CONFIGURATION_UID: "REPLACE_WITH_MASTER_SHEET_ID",
     VALIDATION_CONFIGURATION_UID: "REPLACE_WITH_VALIDATION_SHEET_ID",
@@ -19,6 +20,7 @@ const PROD_CONSTANTS = {
     EMAIL_MDM_GROUP: 'mdm.group@example-corp.com',
     EMAIL_CC_BOM: 'dept.bom@example-corp.com',
     EMAIL_CC_SECOND: 'dept.second@example-corp.com',
+    EMAIL_MDM_LEAD: 'mdm.lead@example-corp.com',
     MASTER_CONFIGURATION_UID: 'REPLACE_WITH_PROD_MASTER_ID',
     VALIDATION_CONFIGURATION_UID: "REPLACE_WITH_PROD_VALIDATION_ID",
     APPROVER_CONFIGURATION_UID: "REPLACE_WITH_PROD_APPROVER_ID",
@@ -73,12 +75,29 @@ const VALID_APPROVER_STATUS = [
 const EMAIL_MDM_GROUP = constants.EMAIL_MDM_GROUP
 const EMAIL_CC_BOM = constants.EMAIL_CC_BOM;
 const EMAIL_CC_SECOND = constants.EMAIL_CC_SECOND;
+const EMAIL_MDM_LEAD = constants.EMAIL_MDM_LEAD;
 
 
 // Date Configuration
 const TASK_SHEET_COLOR = '#6d9eeb';
 const EXPIRED_DAY_LIMIT = 3;
 
+// Working Hours (used for SLA estimates and workload decay)
+const WORK_START_HOUR = 9;
+const WORK_END_HOUR = 18;
+const LUNCH_START_HOUR = 12;
+const LUNCH_END_HOUR = 13;
+
+// Requests scoring at least this ("Priority Weight" rules, 0-1) are allocated by the queue ahead of them
+const PRIORITY_ALLOCATION_THRESHOLD = 0.7;
+
+// Days of holidays loaded up front for the finish projections of one allocation
+const ALLOCATION_HOLIDAY_PREFETCH_DAYS = 90;
+
+// Matrix candidates projected to finish within this many seconds of the earliest finish tie,
+// and the "Round Robin" rule (weights, least recent, ...) picks between them
+const ALLOCATION_TIE_TOLERANCE_SECONDS = 3600;
+
 // Master Configuration
 const DRIVE_SUFFIX = '_DRIVE';
 const IMAGE_DRIVE_SUFFIX = '_IMAGE';
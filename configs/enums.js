@@ -18,11 +18,57 @@ const ScriptTypes = Object.freeze({
 const SystemActor = Object.freeze({
     SYSTEM: 'SYSTEM',
     APPROVER: 'APPROVER',
-    MDM: 'MDM'
+    MDM: 'MDM',
+    REQUESTER: 'REQUESTER'
 })
 
 const ActivityLog = Object.freeze({
-    SEND_BACK: 'Send Back'
+    SEND_BACK: 'Send Back',
+    CANCELLED: 'Cancelled'
+})
+
+const WorkloadLedgerReason = Object.freeze({
+    ALLOCATED: 'Allocated',
+    TRANSFERRED: 'Transferred',
+    COMPLETED: 'Completed',
+    CANCELLED: 'Cancelled',
+    SENT_BACK: 'Sent Back',
+    PARTIAL_CREDIT: 'Partial Credit',
+    ADJUSTED: 'Adjusted'
+})
+
+const AllocationPath = Object.freeze({
+    SPECIAL_PROJECT: 'Special Project',
+    MATRIX: 'Matrix',
+    BAU: 'BAU',
+    DEFAULT: 'Default'
+})
+
+const RoundRobinMode = Object.freeze({
+    SEQUENTIAL: 'Sequential',
+    WEIGHTED: 'Weighted',
+    LEAST_RECENT: 'Least Recent'
+})
+
+const WebhookEvents = Object.freeze({
+    REQUEST_APPROVED: 'request.approved',
+    REQUEST_ALLOCATED: 'request.allocated',
+    REQUEST_SENT_BACK: 'request.sent_back',
+    REQUEST_REJECTED: 'request.rejected',
+    REQUEST_EXPIRED: 'request.expired',
+    REQUEST_CANCELLED: 'request.cancelled',
+    PROCESS_STATUS_CHANGED: 'request.process_status_changed'
+})
+
+// EVENTS value of a webhook subscriber that listens to every WebhookEvents value
+const WEBHOOK_EVENT_WILDCARD = 'ALL';
+
+const ApiScopes = Object.freeze({
+    REQUEST_SUBMIT: 'request:submit',
+    REQUEST_READ: 'request:read',
+    REQUEST_DECIDE: 'request:decide',
+    REQUEST_CANCEL: 'request:cancel',
+    WORKLOAD_WRITE: 'workload:write'
 })
 
 const ColNames = Object.freeze({
@@ -80,6 +126,7 @@ const ColNames = Object.freeze({
     BASELINE: 'Baseline',
     ESTIMATED_TIME: 'Estimated Time',
     ESTIMATED_TIME_FINISHED: 'Estimated Time Finished',
+    PRIORITY_SCORE: 'Priority Score',
 })
 
 const ActivitySheetNames = Object.freeze({
@@ -232,7 +279,8 @@ const RequesterStatus = Object.freeze({
     COMPLETED: "Completed",
     EXPIRED: "Expired",
     INVALID: "Invalid",
-    NEED_REVIEW: 'Need Review'
+    NEED_REVIEW: 'Need Review',
+    CANCELLED: 'Cancelled'
 })
 
 const ApproverStatus = Object.freeze({
@@ -255,6 +303,7 @@ const MDMStatus = Object.freeze({
     REJECTED: 'Rejected',
     SEND_BACK: 'Send Back',
     ON_GOING: 'On Going',
+    CANCELLED: 'Cancelled',
 })
 
 const RequestTypeActivityMap = {
@@ -0,0 +1,107 @@
+/**
+ * Declarative API payload schemas.
+ *
+ * Field definition:
+ *   type     : 'string' | 'integer' | 'boolean' | 'email' | 'url' | 'date' | 'enum' | 'status' | 'any'
+ *   required : field must be present and non-empty
+ *   enum     : allowed values (type 'enum')
+ *   column   : activity column (UPPER_SNAKE) the value is written to
+ *
+ * The schema of a request type = base fields + fields of its activity sheet + request type overrides.
+ */
+
+const PAYLOAD_DATE_FORMATS = ['MM/dd/yyyy', 'yyyy-MM-dd'];
+
+const YesNoValues = Object.freeze({
+    YES: 'Yes',
+    NO: 'No'
+})
+
+const BASE_PAYLOAD_SCHEMA = {
+    requestType: { type: 'enum', required: true, enum: Object.values(RequestTypes), column: 'REQUEST_TYPE' },
+    emailAddress: { type: 'email', required: true, column: 'EMAIL_ADDRESS' },
+    companyCode: { type: 'enum', required: true, enum: Object.keys(COMPANY_NAME_MAP) },
+    companyName: { type: 'string', required: true },
+    department: { type: 'string', column: 'DEPARTMENT' },
+    requesterName: { type: 'string' },
+    attachmentUrl: { type: 'url', column: 'ATTACHMENT_URL' },
+    attachmentValues: { type: 'any', column: 'ATTACHMENT_VALUES' },
+    additionalAttachment: { type: 'url', column: 'ADDITIONAL_ATTACHMENT' },
+    documentNumber: { type: 'string', column: 'DOCUMENT_NUMBER' },
+    totalTask: { type: 'integer', column: 'TOTAL_TASK' },
+    idempotencyKey: { type: 'string' },
+
+    // Attachment sync flags (true/false or an explicit status) and approver names
+    isRequester: { type: 'status' },
+    isApprover: { type: 'status' },
+    isApproverII: { type: 'status' },
+    isApproverIII: { type: 'status' },
+    isApproverName: { type: 'string' },
+    isApproverIIName: { type: 'string' },
+    isApproverIIIName: { type: 'string' },
+}
+
+const SHEET_PAYLOAD_SCHEMAS = {
+    [ActivitySheetNames.PROMOTION]: {
+        // Promo types and bank types come from the configuration sheets, so they are passed through as-is
+        promoType: { type: 'string', required: true, column: 'PROMO_TYPE' },
+        validFrom: { type: 'date', required: true, column: 'VALID_FROM' },
+        validTo: { type: 'date', required: true, column: 'VALID_TO' },
+        totalPromo: { type: 'integer', column: 'TOTAL_PROMO' },
+    },
+    [ActivitySheetNames.STATUS_LISTING]: {
+        validFrom: { type: 'date', column: 'VALID_FROM' },
+        validTo: { type: 'date', column: 'VALID_TO' },
+    },
+    [ActivitySheetNames.MASTER_DATA]: {
+        modifyType: { type: 'string', column: 'MODIFY_TYPE' },
+    },
+    [ActivitySheetNames.PRICING]: {
+        validFrom: { type: 'date', column: 'VALID_FROM' },
+        validTo: { type: 'date', column: 'VALID_TO' },
+    },
+    [ActivitySheetNames.CUSTOMER]: {
+        modifyType: { type: 'string', column: 'MODIFY_TYPE' },
+        byPhoneConfirmation: { type: 'enum', enum: Object.values(YesNoValues), column: 'BY_PHONE_CONFIRMATION' },
+        updateTo: { type: 'string', column: 'UPDATE_TO' },
+    },
+    [ActivitySheetNames.VENDOR]: {
+        modifyType: { type: 'string', column: 'MODIFY_TYPE' },
+        transactionSection: { type: 'string', column: 'TRANSACTION_SECTION' },
+        bankType: { type: 'string', column: 'BANK_TYPE' },
+        byPhoneConfirmation: { type: 'enum', enum: Object.values(YesNoValues), column: 'BY_PHONE_CONFIRMATION' },
+        updateTo: { type: 'string', column: 'UPDATE_TO' },
+    },
+}
+
+const REQUEST_TYPE_PAYLOAD_OVERRIDES = {
+    [RequestTypes.BLOCK_TEMPORARY]: {
+        validFrom: { required: true },
+        validTo: { required: true },
+    },
+    [RequestTypes.UNBLOCK_TEMPORARY]: {
+        validFrom: { required: true },
+        validTo: { required: true },
+    },
+    [RequestTypes.LISTING_TEMPORARY]: {
+        validFrom: { required: true },
+        validTo: { required: true },
+    },
+    [RequestTypes.MASTER_DATA_MODIFY_CHANGE]: {
+        modifyType: { required: true },
+    },
+    [RequestTypes.BANK_KEY_MASTER_CREATE]: {
+        bankType: { required: true },
+    },
+    [RequestTypes.BANK_KEY_MASTER_MODIFY_CHANGE]: {
+        bankType: { required: true },
+    },
+    [RequestTypes.BANK_KEY_MASTER_DELETE]: {
+        bankType: { required: true },
+    },
+}
+
+// Legacy payload keys still accepted from older clients
+const PAYLOAD_FIELD_ALIASES = {
+    modfiyType: 'modifyType',
+}
@@ -249,6 +249,76 @@ class RequestHandler {
         return true
     }
 
+    /**
+     * Applies an approver decision received from the API, then processes it right away
+     * through the same flow used by onInterval.
+     * @param {Object} ctx - ATTACHMENT_SYNC_CONTEXTS entry with status and name
+     * @param {string} approverEmail - Email of the caller
+     * @param {string} [note=null] - Approver note
+     * @returns {Object} { success, code, error }
+     */
+    handleApproverDecision(ctx, approverEmail, note = null) {
+        const { prop, levelOrder } = ctx;
+        const fail = (code, error) => {
+            Logger.log(`[HandleApproverDecision] Row ${this.request.rowIndex} ${prop}: ${error}`);
+            return { success: false, code, error };
+        };
+
+        if (!this.activity.hasCol(`RESPON_${prop}`)) {
+            return fail(400, `Level ${prop} is not used for this request type.`);
+        }
+
+        const valueMap = this.activity.getActivityValueMap(true, true);
+        if (valueMap.RESPON_REQUESTER !== RequesterStatus.COMPLETED) {
+            return fail(409, 'Requester has not completed the request yet.');
+        }
+
+        const decidedStatus = [ApproverStatus.APPROVED, ApproverStatus.PARTIALLY_REJECTED];
+        const pendingCtx = ATTACHMENT_SYNC_CONTEXTS
+            .slice(1, levelOrder)
+            .find(prev => this.activity.hasCol(`RESPON_${prev.prop}`) &&
+                !decidedStatus.includes(valueMap[`RESPON_${prev.prop}`]));
+        if (pendingCtx) {
+            return fail(409, `Waiting for ${pendingCtx.prop} decision.`);
+        }
+
+        const [attachmentStatus] = this.attachment.getValuesByCell([
+            AttachmentValues[`${prop}_STATUS_CELL`]
+        ]);
+        if (isNotEmpty(valueMap[`RESPON_${prop}`]) || isNotEmpty(attachmentStatus)) {
+            return fail(409, `${prop} has already been decided.`);
+        }
+
+        const approvers = [
+            ...this.masterConfig.getApproverList({
+                companyCode: this.activity.getCompanyName(),
+                department: valueMap.DEPARTMENT,
+                requestType: valueMap.REQUEST_TYPE,
+                level: levelOrder
+            }),
+            ...this.email.getEmailApprover(ctx)
+        ].map(email => String(email).trim().toLowerCase());
+
+        if (!approvers.includes(String(approverEmail).trim().toLowerCase())) {
+            return fail(403, `${approverEmail} is not an approver for ${prop}.`);
+        }
+
+        this.request.beat();
+        this.attachment.updateApproverValues(ctx);
+        if (isNotEmpty(note)) {
+            this.attachment.updateValuesByCell([AttachmentValues[`${prop}_NOTES_CELL`]], [note]);
+        }
+        Logger.log(`[HandleApproverDecision] ${approverEmail} set ${prop} = ${ctx.status} on row ${this.request.rowIndex}`);
+
+        if (this.request.clearActivityValueMapCache) {
+            this.request.clearActivityValueMapCache();
+        }
+        this.request.beat();
+        this.request.handleOnInterval(valueMap.REQUEST_NUMBER);
+
+        return { success: true, code: 200, error: null };
+    }
+
     handleRequestCompleted(attachmentCtx) {
         const isValidationPassed = this.handleAttachmentValidation()
         if (!isValidationPassed) return
@@ -262,6 +332,11 @@ class RequestHandler {
     handleRequestRejected(ctx) {
         this.attachment.protectSpreadsheet();
         this.email.sendEmailRejected(ctx);
+        dispatchRequestWebhook(this.request, WebhookEvents.REQUEST_REJECTED, {
+            level: ctx.prop,
+            status: ctx.status,
+            actor: ctx.name || null
+        });
         return;
     }
 
@@ -326,6 +401,7 @@ class RequestHandler {
             this.request.clearActivityValueMapCache();
         }
 
+        this.request.beat();
         const baselineResult = this.handleBaseline();
         if (!baselineResult) {
             Logger.log(`[HandleRequestApproved] handleBaseline failed for row ${this.request.rowIndex}`);
@@ -333,26 +409,35 @@ class RequestHandler {
         }
         Logger.log(`[HandleRequestApproved] Baseline set successfully: ${JSON.stringify(baselineResult)}`);
 
-        const allocationResult = this.handleAllocation();
+        this.request.beat();
+        const allocationResult = this.handleAllocation(baselineResult);
         if (!allocationResult) {
             Logger.log(`[HandleRequestApproved] handleAllocation failed for row ${this.request.rowIndex}`);
             return false;
         }
-        Logger.log(`[HandleRequestApproved] Allocation set successfully: ${allocationResult}`);
+        const { processedBy, estimatedTime } = allocationResult;
+        Logger.log(`[HandleRequestApproved] Allocation set successfully: ${processedBy}`);
 
-        // Update workload
-        if (baselineResult.estimatedTime) {
+        // Update workload with the estimate of the chosen agent
+        if (estimatedTime) {
             const requestAllocator = new RequestAllocator(this.request);
-            requestAllocator.updateMdmWorkload(allocationResult, baselineResult.estimatedTime);
-            Logger.log(`[HandleRequestApproved] Workload updated for ${allocationResult} (+${baselineResult.estimatedTime}s)`);
+            requestAllocator.updateMdmWorkload(processedBy, estimatedTime);
+            Logger.log(`[HandleRequestApproved] Workload updated for ${processedBy} (+${estimatedTime}s)`);
         }
 
         // Finalize Approval
         Logger.log(`[HandleRequestApproved] Finalizing approval for row ${this.request.rowIndex}`);
+        this.request.beat();
         this.attachment.protectSpreadsheet();
+        this.request.beat();
         this.email.sendEmailApproved();
+        this.request.beat();
         this.activityHandler.copyDataToChild();
 
+        dispatchRequestWebhook(this.request, WebhookEvents.REQUEST_APPROVED, {
+            estimatedTime: estimatedTime || null
+        });
+
         Logger.log(`[HandleRequestApproved] Successfully completed approval process for row ${this.request.rowIndex}`);
         return true;
     }
@@ -414,7 +499,7 @@ class RequestHandler {
 
         if (!baseline) {
             Logger.log(`[HandleBaseline] No baseline configuration found for requestType: ${requestTypeKey}, totalTask: ${totalTask} - continuing without baseline`);
-            return true; 
+            return { baseline: null, estimatedTime: 0, totalTask, requestTypeKey }; 
         }
         let estimatedTime = 0;
         if (isTaskBaseline) {
@@ -437,14 +522,20 @@ class RequestHandler {
         }
 
         Logger.log(`[HandleBaseline] Successfully set baseline values for row ${this.request.rowIndex}`);
-        return { baseline, estimatedTime };
+        return { baseline, estimatedTime, totalTask, requestTypeKey };
     }
 
-    handleAllocation() {
+    /**
+     * Allocates the request and stores the chosen agent's own estimate in ESTIMATED_TIME
+     * @param {Object} baselineResult - Result of handleBaseline
+     * @returns {Object|false} { processedBy, estimatedTime }
+     */
+    handleAllocation(baselineResult = null) {
         Logger.log(`[HandleAllocation] Starting allocation for row ${this.request.rowIndex}`);
 
         const requestAllocator = new RequestAllocator(this.request);
-        const processedBy = requestAllocator.allocate();
+        const processedBy = requestAllocator.allocate(baselineResult);
+        const estimatedTime = requestAllocator.estimatedTime;
 
         if (!processedBy) {
             Logger.log(`[HandleAllocation] No processed by value allocated for row ${this.request.rowIndex}`);
@@ -452,6 +543,7 @@ class RequestHandler {
         }
 
         Logger.log(`[HandleAllocation] Allocated to: ${processedBy}`);
+        this.activity.updatePriorityScore(requestAllocator.priorityScore);
 
         const ok = setValueWithIndex(
             this.request.sheet, ColNames.PROCESSED_BY,
@@ -462,9 +554,17 @@ class RequestHandler {
             Logger.log(`[HandleAllocation] Failed to set processed by value for row ${this.request.rowIndex}`);
             return false;
         }
+        recordAllocationDecision(requestAllocator.decision, 'approval');
+
+        const baselineEstimate = baselineResult ? baselineResult.estimatedTime : 0;
+        if (estimatedTime && estimatedTime !== baselineEstimate) {
+            Logger.log(`[HandleAllocation] Agent estimate ${estimatedTime}s replaces baseline ${baselineEstimate}s`);
+            this.activity.updateEstimatedTime(estimatedTime);
+        }
 
         Logger.log(`[HandleAllocation] Successfully set processed by for row ${this.request.rowIndex}`);
-        return processedBy;
+        dispatchRequestWebhook(this.request, WebhookEvents.REQUEST_ALLOCATED, { processedBy });
+        return { processedBy, estimatedTime };
     }
 
 
@@ -535,10 +635,144 @@ class RequestHandler {
 
         this.attachment.handleAttachmentExpired();
         this.email.sendEmailExpired();
+        dispatchRequestWebhook(this.request, WebhookEvents.REQUEST_EXPIRED);
 
         Logger.log(`Request expired successfully processed for row: ${this.request.rowIndex}`);
     }
 
+    /**
+     * Withdraws a request on the master activity row: removes the row from the agent's
+     * workspace, sets the terminal Cancelled status and releases the allocated workload.
+     * The workspace row goes first so a busy workspace fails with 503 before anything is
+     * written and the cancellation can simply be retried.
+     * @param {string} actor - SystemActor value written to MASTER LOG
+     * @param {string} [reason=null] - Cancellation reason
+     * @param {string} [requesterEmail=null] - When set, must match the request's EMAIL_ADDRESS
+     * @returns {Object} { success, code, error, processedBy, wasInProgress, releasedSeconds }
+     */
+    handleRequestCancelled(actor, reason = null, requesterEmail = null) {
+        const fail = (code, error) => {
+            Logger.log(`[HandleRequestCancelled] Row ${this.request.rowIndex}: ${error}`);
+            return { success: false, code, error };
+        };
+
+        const valueMap = this.activity.getActivityValueMap(true, true);
+        const {
+            REQUEST_NUMBER, EMAIL_ADDRESS, RESPON_REQUESTER, NAME_REQUESTER,
+            PROCESSED_BY, PROCESS_STATUS, TAKEN_DATE, PROCESSED_DATE
+        } = valueMap;
+
+        if (requesterEmail && String(requesterEmail).trim().toLowerCase() !== String(EMAIL_ADDRESS).trim().toLowerCase()) {
+            return fail(403, 'Only the requester can cancel this request.');
+        }
+
+        const closedRequesterStatus = [RequesterStatus.EXPIRED, RequesterStatus.INVALID, RequesterStatus.CANCELLED];
+        if (closedRequesterStatus.includes(RESPON_REQUESTER)) {
+            return fail(409, `Request is already ${RESPON_REQUESTER}.`);
+        }
+
+        const rejectedCtx = ATTACHMENT_SYNC_CONTEXTS
+            .slice(1)
+            .find(ctx => valueMap[`RESPON_${ctx.prop}`] === ApproverStatus.REJECTED);
+        if (rejectedCtx) {
+            return fail(409, `Request was already rejected by ${rejectedCtx.prop}.`);
+        }
+
+        const closedProcessStatus = [MDMStatus.COMPLETED, MDMStatus.PARTIALLY_REJECTED, MDMStatus.REJECTED, MDMStatus.CANCELLED];
+        if (closedProcessStatus.includes(PROCESS_STATUS) || isNotEmpty(PROCESSED_DATE)) {
+            return fail(409, `Request has already been processed (${PROCESS_STATUS || 'Processed'}).`);
+        }
+
+        const wasInProgress = PROCESS_STATUS === MDMStatus.ON_GOING || isNotEmpty(TAKEN_DATE);
+        const agentName = isNotEmpty(PROCESSED_BY) ? String(PROCESSED_BY).split(',')[0].trim() : null;
+
+        if (agentName) {
+            try {
+                this.removeFromWorkspace(agentName, REQUEST_NUMBER);
+            } catch (error) {
+                return fail(503, `Workspace row is busy, retry the cancellation. (${error.message})`);
+            }
+            this.request.beat();
+        }
+
+        this.activity.updateRequesterValues(RequesterStatus.CANCELLED, NAME_REQUESTER || null);
+        if (agentName) {
+            this.activity.updateProcessStatus(MDMStatus.CANCELLED);
+        }
+
+        let releasedSeconds = 0;
+        if (agentName) {
+            // Only what the ledger still books for the request is released
+            releasedSeconds = releaseRequestWorkload(REQUEST_NUMBER, WorkloadLedgerReason.CANCELLED, 0, actor).releasedSeconds;
+
+            if (wasInProgress) {
+                this.email.sendEmailCancelled(agentName, reason);
+            }
+        }
+
+        this.attachment.handleAttachmentCancelled();
+        this.request.requestLogger.addMasterLog(ActivityLog.CANCELLED, actor, reason);
+        dispatchRequestWebhook(this.request, WebhookEvents.REQUEST_CANCELLED, {
+            actor: actor,
+            reason: reason || null,
+            wasInProgress: wasInProgress
+        });
+
+        Logger.log(`[HandleRequestCancelled] ${REQUEST_NUMBER} cancelled by ${actor} (processedBy: ${PROCESSED_BY || '-'}, released: ${releasedSeconds}s)`);
+        return {
+            success: true,
+            code: 200,
+            error: null,
+            processedBy: PROCESSED_BY || null,
+            wasInProgress: wasInProgress,
+            releasedSeconds: releasedSeconds
+        };
+    }
+
+    /**
+     * Deletes the request's row from the agent's workspace sheet. The row index is
+     * resolved again under the row lock, so a row shifted by a concurrent delete is
+     * looked up anew instead of deleting whatever moved into its place.
+     * @param {string} agentName - Workspace sheet name
+     * @param {string} requestNumber - Request number
+     * @returns {boolean} true when a row was removed, false when there was none
+     * @throws {Error} When the row lock cannot be taken or the row keeps moving
+     */
+    removeFromWorkspace(agentName, requestNumber) {
+        const config = getRequestConfig(this.activity.getCompanyName());
+        if (!config || !config[CHILD_SPREADSHEET_KEY]) {
+            Logger.log(`[RemoveFromWorkspace] No workspace configured for ${this.activity.getCompanyName()}`);
+            return false;
+        }
+
+        const workspaceSheet = SpreadsheetApp.openByUrl(config[CHILD_SPREADSHEET_KEY]).getSheetByName(agentName);
+        if (!workspaceSheet) {
+            Logger.log(`[RemoveFromWorkspace] Workspace sheet "${agentName}" not found`);
+            return false;
+        }
+
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const rowIndex = getRowIndex(workspaceSheet, requestNumber);
+            if (rowIndex === -1) {
+                Logger.log(`[RemoveFromWorkspace] ${requestNumber} not found on "${agentName}"`);
+                return false;
+            }
+
+            const removed = withRowLock(workspaceSheet.getName(), rowIndex, 'removeFromWorkspace', () => {
+                if (getRowIndex(workspaceSheet, requestNumber) !== rowIndex) return false;
+                withWriteLock(makeSheetLayoutKey(workspaceSheet.getName()), 'removeFromWorkspace', () => workspaceSheet.deleteRow(rowIndex), 2, 8000);
+                return true;
+            }, 2, 8000);
+
+            if (removed) {
+                Logger.log(`[RemoveFromWorkspace] Removed ${requestNumber} from "${agentName}" row ${rowIndex}`);
+                return true;
+            }
+        }
+
+        throw new Error(`${requestNumber} kept moving on "${agentName}" while it was being removed`);
+    }
+
     handleProcessedByTrigger(userEmail) {
         const {
             TAKEN_DATE,
@@ -558,6 +792,7 @@ class RequestHandler {
         }
         this.activity.updateEstimatedTimeFinished(takenDate);
 
+        this.request.beat();
         this.activityHandler.copyDataToMaster();
     }
 
@@ -589,6 +824,10 @@ class RequestHandler {
             ActivityLog.SEND_BACK,
             actor, reason
         )
+        dispatchRequestWebhook(request, WebhookEvents.REQUEST_SENT_BACK, {
+            actor: actor,
+            reason: reason || null
+        });
 
         if (typeof emailFunc !== "function") {
             Logger.log("[HandleRequestSendBackBase] emailFunc is not a valid function");
@@ -631,6 +870,9 @@ class RequestHandler {
             masterRowIndex
         );
 
+        // Row leaves the agent sheet; a resubmission is allocated again
+        callMasterApiToReleaseWorkload(REQUEST_NUMBER, WorkloadLedgerReason.SENT_BACK);
+
         const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
         spreadsheet.toast(
             'Request has been sent back and removed from the list.',
@@ -638,7 +880,7 @@ class RequestHandler {
         );
 
         const sheet = this.request.sheet;
-        sheet.deleteRow(this.request.rowIndex);
+        withWriteLock(makeSheetLayoutKey(sheet.getName()), 'handleRequestSendBackMDM', () => sheet.deleteRow(this.request.rowIndex), 1, 30000);
         return;
     }
 
@@ -656,6 +898,7 @@ class RequestHandler {
 
     handleProcessStatusTrigger(userEmail = null, previousStatus = null, triggerEmail = true) {
         const {
+            REQUEST_NUMBER,
             PROCESSED_BY,
             PROCESS_STATUS,
             PROCESSED_DATE,
@@ -683,6 +926,12 @@ class RequestHandler {
         if (PROCESS_STATUS === MDMStatus.ON_GOING) {
             Logger.log(`[handleProcessStatusTrigger] PROCESS_STATUS is ON_GOING. Calling handleProcessedByTrigger.`);
             this.handleProcessedByTrigger(userEmail);
+            if (previousStatus !== MDMStatus.ON_GOING) {
+                dispatchRequestWebhook(this.request, WebhookEvents.PROCESS_STATUS_CHANGED, {
+                    previousStatus: previousStatus || null,
+                    actor: userEmail || null
+                });
+            }
             Logger.log(`[handleProcessStatusTrigger] END (ON_GOING branch)`);
             return;
         }
@@ -692,6 +941,18 @@ class RequestHandler {
         ) {
             Logger.log(`[handleProcessStatusTrigger] Entering main processing branch.`);
 
+            if (PROCESS_STATUS !== previousStatus) {
+                dispatchRequestWebhook(this.request, WebhookEvents.PROCESS_STATUS_CHANGED, {
+                    previousStatus: previousStatus || null,
+                    actor: userEmail || null
+                });
+
+                const finishedStatus = [MDMStatus.COMPLETED, MDMStatus.REJECTED, MDMStatus.PARTIALLY_REJECTED];
+                if (finishedStatus.includes(PROCESS_STATUS)) {
+                    callMasterApiToReleaseWorkload(REQUEST_NUMBER, WorkloadLedgerReason.COMPLETED);
+                }
+            }
+
             if (PROCESS_STATUS === MDMStatus.SEND_BACK && ATTACHMENT !== "NO ATTACHMENT") {
                 Logger.log(`[HandleProcessStatusTrigger] Attempting to handle send back for row: ${this.request.rowIndex}`);
                 this.handleRequestSendBackMDM();
@@ -712,6 +973,7 @@ class RequestHandler {
                 }
 
                 Logger.log(`[handleProcessStatusTrigger] Sending processed email...`);
+                this.request.beat();
                 const isSent = this.email.sendEmailProcessed();
                 Logger.log(`[handleProcessStatusTrigger] Email sent: ${isSent}`);
                 if (isSent) {
@@ -720,6 +982,7 @@ class RequestHandler {
                 }
             }
 
+            this.request.beat();
             addDriveEditors(
                 extractSheetId(ATTACHMENT),
                 [EMAIL_MDM_GROUP]
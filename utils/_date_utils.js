@@ -137,4 +137,186 @@ function addTime(origDate, options) {
     if (seconds) d.setSeconds(d.getSeconds() + seconds);
 
     return d;
+}
+
+/**
+ * Global working calendar (Mon-Fri, WORK_START_HOUR-WORK_END_HOUR with lunch break).
+ * Agent calendars from getMdmCalendar have the same shape.
+ */
+function getDefaultWorkCalendar() {
+    return {
+        workStartHour: WORK_START_HOUR,
+        workEndHour: WORK_END_HOUR,
+        lunchStartHour: LUNCH_START_HOUR,
+        lunchEndHour: LUNCH_END_HOUR,
+        workDays: [1, 2, 3, 4, 5],
+        leave: []
+    };
+}
+
+const HOLIDAY_CACHE = {};
+
+/**
+ * Loads the holidays of the next `days` days with one calendar read, so projections
+ * over many days do not query CalendarApp day by day
+ * @param {Date} start - First day
+ * @param {number} days - Number of days to load
+ */
+function prefetchHolidays(start, days) {
+    const first = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+    const dates = Array.from({ length: days }, (_, i) => new Date(first.getFullYear(), first.getMonth(), first.getDate() + i));
+    if (dates.every(date => date.toDateString() in HOLIDAY_CACHE)) return;
+
+    const calendar = CalendarApp.getCalendarById('en.indonesian#holiday@group.v.calendar.google.com');
+    if (!calendar) {
+        Logger.log('Calendar not found. Check the calendar ID.');
+        return;
+    }
+
+    const holidays = new Set();
+    calendar.getEvents(first, new Date(first.getFullYear(), first.getMonth(), first.getDate() + days)).forEach(event => {
+        const day = new Date(event.getStartTime());
+        const end = event.getEndTime();
+        // All-day events end at midnight of the next day
+        while (day < end) {
+            holidays.add(new Date(day.getFullYear(), day.getMonth(), day.getDate()).toDateString());
+            day.setDate(day.getDate() + 1);
+            day.setHours(0, 0, 0, 0);
+        }
+    });
+
+    dates.forEach(date => { HOLIDAY_CACHE[date.toDateString()] = holidays.has(date.toDateString()); });
+}
+
+function isHolidayCached(date) {
+    const key = date.toDateString();
+    if (!(key in HOLIDAY_CACHE)) {
+        HOLIDAY_CACHE[key] = isHoliday(date);
+    }
+    return HOLIDAY_CACHE[key];
+}
+
+/**
+ * True when the date falls in one of the calendar's leave ranges ({ from, to } in epoch ms, inclusive days)
+ */
+function isOnLeave(date, calendar) {
+    const day = new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+    return (calendar.leave || []).some(({ from, to }) => {
+        const fromDay = new Date(from).setHours(0, 0, 0, 0);
+        const toDay = new Date(to).setHours(0, 0, 0, 0);
+        return day >= fromDay && day <= toDay;
+    });
+}
+
+function isWorkingDay(date, calendar = null) {
+    const cal = calendar || getDefaultWorkCalendar();
+    return cal.workDays.includes(date.getDay()) && !isOnLeave(date, cal) && !isHolidayCached(date);
+}
+
+/**
+ * Working windows [start, end] (epoch ms) of one day, lunch excluded
+ */
+function getWorkingWindows(day, calendar) {
+    const midnight = new Date(day.getFullYear(), day.getMonth(), day.getDate()).getTime();
+    const at = (hour) => midnight + hour * 3600 * 1000;
+    const { workStartHour, workEndHour, lunchStartHour, lunchEndHour } = calendar;
+
+    if (lunchStartHour === null || lunchEndHour === null || lunchEndHour <= lunchStartHour) {
+        return [[at(workStartHour), at(workEndHour)]];
+    }
+    return [
+        [at(workStartHour), at(Math.min(lunchStartHour, workEndHour))],
+        [at(Math.max(lunchEndHour, workStartHour)), at(workEndHour)]
+    ].filter(([from, to]) => to > from);
+}
+
+const MAX_CALENDAR_DAYS = 366;
+
+/**
+ * Working seconds between two dates on the given calendar
+ * @param {Date} start - Start date
+ * @param {Date} end - End date
+ * @param {Object} [calendar=null] - Agent calendar, defaults to getDefaultWorkCalendar()
+ * @returns {number} Seconds, 0 when end is before start
+ */
+function getWorkingSecondsBetween(start, end, calendar = null) {
+    if (!(start instanceof Date) || !(end instanceof Date) || isNaN(start) || isNaN(end) || end <= start) {
+        return 0;
+    }
+
+    const cal = calendar || getDefaultWorkCalendar();
+    let seconds = 0;
+    const day = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+
+    for (let i = 0; i < MAX_CALENDAR_DAYS && day.getTime() < end.getTime(); i++) {
+        if (isWorkingDay(day, cal)) {
+            getWorkingWindows(day, cal).forEach(([from, to]) => {
+                seconds += Math.max(0, Math.min(end.getTime(), to) - Math.max(start.getTime(), from)) / 1000;
+            });
+        }
+        day.setDate(day.getDate() + 1);
+    }
+
+    return Math.round(seconds);
+}
+
+/**
+ * Date reached after working the given seconds from start on the given calendar
+ * @param {Date} start - Start date
+ * @param {number} seconds - Working seconds to add
+ * @param {Object} [calendar=null] - Agent calendar, defaults to getDefaultWorkCalendar()
+ * @returns {Date} Finish date
+ */
+function addWorkingSeconds(start, seconds, calendar = null) {
+    const cal = calendar || getDefaultWorkCalendar();
+    let remainingMs = Math.max(Number(seconds) || 0, 0) * 1000;
+    const day = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+
+    for (let i = 0; i < MAX_CALENDAR_DAYS; i++) {
+        if (isWorkingDay(day, cal)) {
+            for (const [from, to] of getWorkingWindows(day, cal)) {
+                const windowStart = Math.max(start.getTime(), from);
+                if (windowStart >= to) continue;
+
+                if (remainingMs <= to - windowStart) {
+                    return new Date(windowStart + remainingMs);
+                }
+                remainingMs -= to - windowStart;
+            }
+        }
+        day.setDate(day.getDate() + 1);
+    }
+
+    Logger.log(`[addWorkingSeconds] No working time left within ${MAX_CALENDAR_DAYS} days of ${start}`);
+    return new Date(day.getTime());
+}
+
+/**
+ * Working seconds from start split over the days they are worked, on the addWorkingSeconds timeline
+ * @param {Date} start - Start date
+ * @param {number} seconds - Working seconds
+ * @param {Object} [calendar=null] - Agent calendar, defaults to getDefaultWorkCalendar()
+ * @returns {Object} { [Date.toDateString()]: seconds }, working days only
+ */
+function getWorkingSecondsByDay(start, seconds, calendar = null) {
+    const cal = calendar || getDefaultWorkCalendar();
+    const byDay = {};
+    let remainingMs = Math.max(Number(seconds) || 0, 0) * 1000;
+    const day = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+
+    for (let i = 0; i < MAX_CALENDAR_DAYS && remainingMs > 0; i++) {
+        if (isWorkingDay(day, cal)) {
+            for (const [from, to] of getWorkingWindows(day, cal)) {
+                const windowStart = Math.max(start.getTime(), from);
+                if (windowStart >= to || remainingMs <= 0) continue;
+
+                const workedMs = Math.min(remainingMs, to - windowStart);
+                byDay[day.toDateString()] = (byDay[day.toDateString()] || 0) + workedMs / 1000;
+                remainingMs -= workedMs;
+            }
+        }
+        day.setDate(day.getDate() + 1);
+    }
+
+    return byDay;
 }
\ No newline at end of file
@@ -5,7 +5,8 @@ function getActivityRowToCrawl(sheet) {
         .slice(1)
         .map(item => ColNames[`RESPON_${item.prop}`]);
 
-    const [reqNos, atts, reqs, ...apprs] = getValuesByColumns(
+    // Columns are read separately; readers share the layout lock, a row deletion waits for them
+    const [reqNos, atts, reqs, ...apprs] = withReadLock(makeSheetLayoutKey(sheet.getName()), 'getActivityRowToCrawl', () => getValuesByColumns(
         sheet,
         [
             ColNames.REQUEST_NUMBER,
@@ -14,7 +15,7 @@ function getActivityRowToCrawl(sheet) {
             ...approverCols
         ],
         ACT
-    );
+    ), 3, 15000);
 
     const REJ = String(ApproverStatus.REJECTED).trim().toLowerCase();
 
@@ -22,10 +23,11 @@ function getActivityRowToCrawl(sheet) {
         .map((req, i) => {
             const row = i + ACT;
 
-            // skip expired/invalid or missing request-number / attachment
+            // skip expired/invalid/cancelled or missing request-number / attachment
             if (
                 req === RequesterStatus.EXPIRED ||
                 req === RequesterStatus.INVALID ||
+                req === RequesterStatus.CANCELLED ||
                 !reqNos[i] ||
                 !atts[i]
             ) {
@@ -100,7 +102,7 @@ function getAskApprovalStatusError(sheet) {
     return askApprovalStatus.reduce((emptyRows, approvalStatus, i) => {
         if (
             !approvalStatus && !nameApprover[i] &&
-            (responRequester[i] && ![RequesterStatus.EXPIRED, RequesterStatus.INVALID, RequesterStatus.NEED_REVIEW].includes(responRequester[i]))
+            (responRequester[i] && ![RequesterStatus.EXPIRED, RequesterStatus.INVALID, RequesterStatus.NEED_REVIEW, RequesterStatus.CANCELLED].includes(responRequester[i]))
         ) {
             emptyRows.push(i + ACTIVITY_HEADER_ROW_INDEX)
         }
@@ -125,7 +127,7 @@ function getAskApprovalFinalStatusError(sheet) {
     return askApprovalFinalStatus.reduce((emptyRows, approvalFinalStatus, i) => {
         if (
             !approvalFinalStatus && !nameApproverFinal[i] && responApprover[i] !== ApproverStatus.REJECTED &&
-            (responApprover[i] && ![RequesterStatus.EXPIRED, RequesterStatus.INVALID, RequesterStatus.NEED_REVIEW].includes(responApprover[i]))
+            (responApprover[i] && ![RequesterStatus.EXPIRED, RequesterStatus.INVALID, RequesterStatus.NEED_REVIEW, RequesterStatus.CANCELLED].includes(responApprover[i]))
         ) {
             emptyRows.push(i + ACTIVITY_HEADER_ROW_INDEX)
         }
@@ -0,0 +1,163 @@
+/**
+ * Decision records of RequestAllocator, one row per allocation in the Master
+ * "ALLOCATION DECISIONS" sheet. DETAIL holds the full record as JSON:
+ *   { requestNumber, requestType, decidedAt, priorityScore, highPriority, path, ruleKey,
+ *     candidates, excluded, tieBreak, fallback, winner, estimatedTime }
+ * A request allocated more than once (fix menu, reassignment) keeps every record;
+ * the last row is the current one.
+ */
+const ALLOCATION_DECISION_SHEET = 'ALLOCATION DECISIONS';
+
+// Column order of the ALLOCATION DECISIONS sheet
+const ALLOCATION_DECISION_COLS = Object.freeze({
+    TIMESTAMP: 0,
+    REQUEST_NUMBER: 1,
+    WINNER: 2,
+    PATH: 3,
+    RULE_KEY: 4,
+    FALLBACK: 5,
+    SOURCE: 6,
+    DETAIL: 7
+})
+
+/**
+ * Appends a decision record. Never throws, the allocation itself already succeeded.
+ * @param {Object} decision - RequestAllocator.decision
+ * @param {string} [source=null] - What triggered the allocation, e.g. 'approval' or 'reassign'
+ * @returns {boolean} True when the record was written
+ */
+function recordAllocationDecision(decision, source = null) {
+    if (!decision || !decision.requestNumber) return false;
+
+    try {
+        const sheet = getMasterSpreadsheet(ALLOCATION_DECISION_SHEET);
+        if (!sheet) {
+            throw new Error(`${ALLOCATION_DECISION_SHEET} sheet not found.`);
+        }
+
+        sheet.appendRow([
+            getDateNow(),
+            decision.requestNumber,
+            decision.winner || '',
+            decision.path || '',
+            decision.ruleKey || '',
+            decision.fallback || '',
+            source || '',
+            JSON.stringify(decision)
+        ]);
+        Logger.log(`[AllocationDecision] ${decision.requestNumber} → ${decision.winner} (${decision.path}) recorded`);
+        return true;
+    } catch (e) {
+        Logger.log(`[AllocationDecision] Failed to record ${decision.requestNumber}: ${e.message}`);
+        return false;
+    }
+}
+
+/**
+ * Every decision record of a request, oldest first
+ * @param {string} requestNumber - Request number
+ * @returns {Array<Object>} Decision records with `source` and `recordedAt` added
+ */
+function getAllocationDecisions(requestNumber) {
+    const sheet = getMasterSpreadsheet(ALLOCATION_DECISION_SHEET);
+    if (!requestNumber || !sheet || sheet.getLastRow() < 2) return [];
+
+    const lastCol = Object.keys(ALLOCATION_DECISION_COLS).length;
+    return sheet
+        .getRange(2, ALLOCATION_DECISION_COLS.REQUEST_NUMBER + 1, sheet.getLastRow() - 1, 1)
+        .createTextFinder(String(requestNumber))
+        .matchEntireCell(true)
+        .findAll()
+        .map(cell => sheet.getRange(cell.getRow(), 1, 1, lastCol).getDisplayValues()[0])
+        .map(row => {
+            let detail;
+            try {
+                detail = JSON.parse(row[ALLOCATION_DECISION_COLS.DETAIL]);
+            } catch (e) {
+                detail = {
+                    requestNumber: row[ALLOCATION_DECISION_COLS.REQUEST_NUMBER],
+                    winner: row[ALLOCATION_DECISION_COLS.WINNER],
+                    path: row[ALLOCATION_DECISION_COLS.PATH],
+                    ruleKey: row[ALLOCATION_DECISION_COLS.RULE_KEY],
+                    fallback: row[ALLOCATION_DECISION_COLS.FALLBACK] || null
+                };
+            }
+            return {
+                ...detail,
+                source: row[ALLOCATION_DECISION_COLS.SOURCE] || null,
+                recordedAt: row[ALLOCATION_DECISION_COLS.TIMESTAMP]
+            };
+        });
+}
+
+/**
+ * Current (latest) decision record of a request
+ * @param {string} requestNumber - Request number
+ * @returns {Object|null} Decision record
+ */
+function getAllocationDecision(requestNumber) {
+    const decisions = getAllocationDecisions(requestNumber);
+    return decisions.length > 0 ? decisions[decisions.length - 1] : null;
+}
+
+/**
+ * Plain-text explanation of a decision record, for the menu dialog
+ */
+function formatAllocationDecision(decision) {
+    const lines = [
+        `Request: ${decision.requestNumber} (${decision.requestType || '-'})`,
+        `Decided: ${decision.decidedAt || decision.recordedAt}${decision.source ? ` via ${decision.source}` : ''}`,
+        `Path: ${decision.path || '-'}${decision.ruleKey ? ` [${decision.ruleKey}]` : ''}`,
+        `Priority: ${decision.priorityScore || 0}${decision.highPriority ? ' (high, compared by queue ahead of this priority)' : ''}`,
+        ''
+    ];
+
+    (decision.candidates || []).forEach(c => {
+        const queue = c.queueSeconds !== undefined && c.queueSeconds !== c.totalTimeSeconds ? `, queue ahead ${c.queueSeconds}s` : '';
+        const projection = c.projectedSeconds !== undefined
+            ? `${queue}, +${c.estimatedSeconds}s → ${c.projectedSeconds}s, finish ${c.projectedFinish}${c.overCap ? ' (over cap)' : ''}`
+            : '';
+        lines.push(`${c.group}: ${c.mdmName} ${c.status}, load ${c.totalTimeSeconds}s${projection}`);
+    });
+
+    if ((decision.excluded || []).length > 0) {
+        lines.push(`Excluded: ${decision.excluded.join(', ')}`);
+    }
+    if (decision.tieBreak) {
+        const { mode, finalists, toleranceSeconds, selected } = decision.tieBreak;
+        const within = toleranceSeconds ? ` (finishing within ${toleranceSeconds}s)` : '';
+        lines.push(`Tie-break (${mode}) between ${finalists.join(', ')}${within} → ${selected}`);
+    }
+    if (decision.fallback) {
+        lines.push(`Fallback: ${decision.fallback}`);
+    }
+
+    lines.push('', `Winner: ${decision.winner || 'none'}${decision.estimatedTime ? ` (estimate ${decision.estimatedTime}s)` : ''}`);
+    return lines.join('\n');
+}
+
+function explainAllocationFromMenu() {
+    const ui = SpreadsheetApp.getUi();
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+    const [rowIndex] = getSelectedRowIndex().filter(row => row > ACTIVITY_HEADER_ROW_INDEX);
+
+    let requestNumber = rowIndex
+        ? getValueByColumn(sheet, ColNames.REQUEST_NUMBER, rowIndex, ACTIVITY_HEADER_ROW_INDEX)
+        : null;
+
+    if (!requestNumber) {
+        const response = ui.prompt('Explain Allocation', 'Enter the request number:', ui.ButtonSet.OK_CANCEL);
+        if (response.getSelectedButton() !== ui.Button.OK) return;
+        requestNumber = response.getResponseText().trim();
+    }
+    if (!requestNumber) return;
+
+    const decisions = getAllocationDecisions(requestNumber);
+    if (decisions.length === 0) {
+        ui.alert(`No allocation decision recorded for ${requestNumber}.`);
+        return;
+    }
+
+    const earlier = decisions.length > 1 ? `\n\n${decisions.length - 1} earlier allocation(s) in ${ALLOCATION_DECISION_SHEET}.` : '';
+    ui.alert('Allocation Decision', formatAllocationDecision(decisions[decisions.length - 1]) + earlier, ui.ButtonSet.OK);
+}
@@ -0,0 +1,273 @@
+/**
+ * What-if allocation: replays the approved requests of the last N weeks from the Master
+ * activity sheets through RequestAllocator in dry-run mode, against a proposed
+ * "Distribution" / "Work Allocation", and compares the result with what actually happened.
+ *
+ * Nothing is written: the proposed sheets, estimates and config are read once for the
+ * whole replay, workloads and round-robin state are kept in memory and the workload
+ * ledger is skipped.
+ *
+ * Replay model:
+ *   - requests are allocated in approval order (latest approver / requester timestamp)
+ *   - a request adds its estimate to the simulated agent and is released again at its
+ *     actual Processed Date, so throughput stays the same as in reality
+ *   - every agent starts the window with no load
+ */
+const SIMULATION_DISTRIBUTION_SHEET = 'Distribution (Proposed)';
+const SIMULATION_ALLOCATION_SHEET = 'Work Allocation (Proposed)';
+const SIMULATION_DEFAULT_WEEKS = 4;
+
+function parseSimulationDate(value) {
+    if (!value) return null;
+    if (value instanceof Date) return value;
+    try {
+        return parseMDYHMS(String(value));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Proposed sheet when it exists in the config spreadsheet, the live sheet otherwise
+ */
+function resolveSimulationSheet(proposedName, liveName) {
+    const configSS = SpreadsheetApp.openById(MASTER_CONFIGURATION_UID);
+    return configSS.getSheetByName(proposedName) ? proposedName : liveName;
+}
+
+/**
+ * Allocated requests of the Master activity sheets approved since `since`
+ * @param {Date} since - Start of the window
+ * @returns {Array<Object>} { requestNumber, valueMap, approvedAt, processedAt, agent, seconds, totalTask, requestTypeKey }
+ */
+function getSimulationRequests(since) {
+    const requests = [];
+
+    Object.values(ActivitySheetNames).forEach(sheetName => {
+        const sheet = getMasterSpreadsheet(sheetName);
+        if (!sheet || sheet.getLastRow() <= ACTIVITY_HEADER_ROW_INDEX) return;
+
+        const headers = getColumnHeaders(sheet, true, ACTIVITY_HEADER_ROW_INDEX);
+        const rows = sheet.getRange(
+            ACTIVITY_HEADER_ROW_INDEX + 1, 1,
+            sheet.getLastRow() - ACTIVITY_HEADER_ROW_INDEX, headers.length
+        ).getDisplayValues();
+
+        rows.forEach(row => {
+            const valueMap = headers.reduce((map, header, index) => {
+                map[header] = row[index] || null;
+                return map;
+            }, {});
+
+            const agent = String(valueMap.PROCESSED_BY || '').split(',')[0].trim().toUpperCase();
+            if (!valueMap.REQUEST_NUMBER || !agent) return;
+
+            const approvedAt = [
+                valueMap.TIMESTAMP_APPROVER_III, valueMap.TIMESTAMP_APPROVER_II,
+                valueMap.TIMESTAMP_APPROVER, valueMap.TIMESTAMP_REQUESTER, valueMap.TIMESTAMP
+            ]
+                .map(parseSimulationDate)
+                .filter(Boolean)
+                .reduce((latest, date) => (!latest || date > latest ? date : latest), null);
+            if (!approvedAt || approvedAt < since) return;
+
+            const isPromoRequest = !!valueMap.PROMO_TYPE;
+            const seconds = parseFloat(valueMap.ESTIMATED_TIME);
+
+            requests.push({
+                requestNumber: valueMap.REQUEST_NUMBER,
+                valueMap: valueMap,
+                approvedAt: approvedAt,
+                processedAt: parseSimulationDate(valueMap.PROCESSED_DATE),
+                agent: agent,
+                seconds: Number.isFinite(seconds) ? seconds : 0,
+                totalTask: parseInt(isPromoRequest ? valueMap.TOTAL_PROMO : valueMap.TOTAL_TASK, 10) || 0,
+                requestTypeKey: isPromoRequest ? valueMap.PROMO_TYPE : valueMap.REQUEST_TYPE
+            });
+        });
+    });
+
+    return requests.sort((a, b) => a.approvedAt - b.approvedAt);
+}
+
+/**
+ * Same baseline handleBaseline would produce, without writing it to the row
+ */
+function getSimulationBaseline(masterConfig, request) {
+    const { requestTypeKey, totalTask, seconds } = request;
+    const { baseline, isTaskBaseline } = totalTask
+        ? masterConfig.getBaseline({ requestType: requestTypeKey, totalTask: totalTask })
+        : { baseline: null, isTaskBaseline: null };
+
+    let estimatedTime = seconds;
+    if (baseline) {
+        estimatedTime = isTaskBaseline ? baseline * totalTask : baseline;
+    }
+    return { baseline, estimatedTime, totalTask, requestTypeKey };
+}
+
+/**
+ * Fairness of a load distribution
+ * @param {Array<number>} values - Load per agent
+ * @returns {Object} { jainIndex, coefficientOfVariation, maxShare }
+ */
+function getFairnessMetrics(values) {
+    const total = values.reduce((sum, v) => sum + v, 0);
+    if (values.length === 0 || total === 0) {
+        return { jainIndex: 1, coefficientOfVariation: 0, maxShare: 0 };
+    }
+
+    const mean = total / values.length;
+    const sumSquares = values.reduce((sum, v) => sum + v * v, 0);
+    const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+
+    return {
+        jainIndex: (total * total) / (values.length * sumSquares),
+        coefficientOfVariation: Math.sqrt(variance) / mean,
+        maxShare: Math.max(...values) / total
+    };
+}
+
+function addSimulationLoad(totals, agent, load) {
+    totals[agent] = totals[agent] || { seconds: 0, tasks: 0, requests: 0 };
+    totals[agent].seconds += load.seconds;
+    totals[agent].tasks += load.tasks;
+    totals[agent].requests += 1;
+}
+
+/**
+ * Replays the recent approved requests against a (proposed) configuration
+ * @param {Object} [options={}]
+ * @param {number} [options.weeks=SIMULATION_DEFAULT_WEEKS] - How far back to replay
+ * @param {string} [options.distributionSheet] - Matrix sheet, defaults to SIMULATION_DISTRIBUTION_SHEET when present
+ * @param {string} [options.allocationSheet] - Work allocation sheet, defaults to SIMULATION_ALLOCATION_SHEET when present
+ * @returns {Object} { weeks, since, distributionSheet, allocationSheet, requests, changed, unallocated, agents, fairness }
+ *   agents: { [agent]: { simulated: { seconds, tasks, requests }, actual: { seconds, tasks, requests } } }
+ *   fairness: { simulated, actual } from getFairnessMetrics over the assigned seconds
+ */
+function simulateAllocation(options = {}) {
+    const weeks = Number(options.weeks) || SIMULATION_DEFAULT_WEEKS;
+    const since = new Date(Date.now() - weeks * 7 * 24 * 60 * 60 * 1000);
+    const distributionSheet = options.distributionSheet || resolveSimulationSheet(SIMULATION_DISTRIBUTION_SHEET, 'Distribution');
+    const allocationSheet = options.allocationSheet || resolveSimulationSheet(SIMULATION_ALLOCATION_SHEET, 'Work Allocation');
+
+    Logger.log(`[Simulation] Replaying ${weeks} week(s) since ${getDateNow(since)} with "${distributionSheet}" / "${allocationSheet}"`);
+
+    const requests = getSimulationRequests(since);
+    const masterConfig = new MasterConfig();
+    const simulation = {
+        valueMap: null,
+        date: null,
+        workloads: {},
+        roundRobin: {},
+        masterConfig: masterConfig,
+        estimates: getMdmWorkloadEstimates() || {},
+        matrix: getMdmDistributionMatrix(distributionSheet),
+        allocationSheet: allocationSheet
+    };
+
+    const simulated = {};
+    const actual = {};
+    const releases = [];
+    const unallocated = [];
+    let changed = 0;
+
+    requests.forEach(request => {
+        // Release every simulated assignment finished before this approval
+        releases
+            .filter(release => !release.done && release.at <= request.approvedAt)
+            .forEach(release => {
+                simulation.workloads[release.agent] = Math.max((simulation.workloads[release.agent] || 0) - release.seconds, 0);
+                release.done = true;
+            });
+
+        simulation.valueMap = request.valueMap;
+        simulation.date = request.approvedAt.getTime();
+
+        const allocator = new RequestAllocator(null, { simulation });
+        const agent = allocator.allocate(getSimulationBaseline(masterConfig, request));
+
+        addSimulationLoad(actual, request.agent, { seconds: request.seconds, tasks: request.totalTask });
+        if (!agent) {
+            unallocated.push(request.requestNumber);
+            return;
+        }
+
+        const mdmName = agent.toUpperCase();
+        const seconds = allocator.estimatedTime;
+        addSimulationLoad(simulated, mdmName, { seconds: seconds, tasks: request.totalTask });
+        if (mdmName !== request.agent) changed++;
+
+        simulation.workloads[mdmName] = (simulation.workloads[mdmName] || 0) + seconds;
+        if (request.processedAt) {
+            releases.push({ agent: mdmName, seconds: seconds, at: request.processedAt, done: false });
+        }
+    });
+
+    const empty = { seconds: 0, tasks: 0, requests: 0 };
+    const agentNames = [...new Set([...Object.values(MDMSheetNames), ...Object.keys(actual), ...Object.keys(simulated)])].sort();
+    const agents = agentNames.reduce((map, agent) => {
+        map[agent] = {
+            simulated: simulated[agent] || { ...empty },
+            actual: actual[agent] || { ...empty }
+        };
+        return map;
+    }, {});
+
+    const result = {
+        weeks: weeks,
+        since: since.toISOString(),
+        distributionSheet: distributionSheet,
+        allocationSheet: allocationSheet,
+        requests: requests.length,
+        changed: changed,
+        unallocated: unallocated,
+        agents: agents,
+        fairness: {
+            simulated: getFairnessMetrics(agentNames.map(agent => agents[agent].simulated.seconds)),
+            actual: getFairnessMetrics(agentNames.map(agent => agents[agent].actual.seconds))
+        }
+    };
+
+    Logger.log(`[Simulation] ${requests.length} request(s) replayed, ${changed} allocated differently, ` +
+        `${unallocated.length} unallocated. Jain ${result.fairness.actual.jainIndex.toFixed(3)} → ${result.fairness.simulated.jainIndex.toFixed(3)}`);
+    return result;
+}
+
+function formatSimulationHours(seconds) {
+    return `${(seconds / 3600).toFixed(1)}h`;
+}
+
+function simulateAllocationFromMenu() {
+    const ui = SpreadsheetApp.getUi();
+    const response = ui.prompt(
+        'Simulate Allocation',
+        `Weeks of approved requests to replay (default ${SIMULATION_DEFAULT_WEEKS}).\n` +
+        `Uses "${SIMULATION_DISTRIBUTION_SHEET}" and "${SIMULATION_ALLOCATION_SHEET}" when they exist. Nothing is written.`,
+        ui.ButtonSet.OK_CANCEL
+    );
+    if (response.getSelectedButton() !== ui.Button.OK) return;
+
+    const weeks = parseInt(response.getResponseText(), 10) || SIMULATION_DEFAULT_WEEKS;
+    SpreadsheetApp.getActiveSpreadsheet().toast(`Replaying ${weeks} week(s) of requests...`, 'Simulation', 5);
+    const result = simulateAllocation({ weeks });
+
+    const formatFairness = ({ jainIndex, coefficientOfVariation, maxShare }) =>
+        `Jain ${jainIndex.toFixed(3)}, CV ${coefficientOfVariation.toFixed(2)}, max share ${(maxShare * 100).toFixed(0)}%`;
+
+    const lines = [
+        `Config: ${result.distributionSheet} / ${result.allocationSheet}`,
+        `Requests: ${result.requests}, allocated differently: ${result.changed}, unallocated: ${result.unallocated.length}`,
+        '',
+        'Agent: simulated (actual)',
+        ...Object.entries(result.agents).map(([agent, { simulated, actual }]) =>
+            `${agent}: ${formatSimulationHours(simulated.seconds)} / ${simulated.tasks} tasks / ${simulated.requests} req ` +
+            `(${formatSimulationHours(actual.seconds)} / ${actual.tasks} tasks / ${actual.requests} req)`
+        ),
+        '',
+        `Simulated: ${formatFairness(result.fairness.simulated)}`,
+        `Actual: ${formatFairness(result.fairness.actual)}`
+    ];
+
+    ui.alert('Allocation Simulation', lines.join('\n'), ui.ButtonSet.OK);
+}
@@ -0,0 +1,187 @@
+/**
+ * API client credentials are stored in Script Properties as
+ * API_CLIENT_<CLIENT_ID> = {"secret": "...", "scopes": ["request:submit"], "active": true}
+ *
+ * A caller authenticates with query parameters, either:
+ *   ?clientId=<id>&apiKey=<secret>
+ * or (preferred, secret never leaves the caller):
+ *   ?clientId=<id>&timestamp=<epoch ms>&signature=<hex HMAC-SHA256>
+ *
+ * A signature is single-use: it is kept in the script cache for as long as its
+ * timestamp is accepted, and a repeat of it is rejected as a replay.
+ */
+const API_CLIENT_PREFIX = 'API_CLIENT_';
+const API_SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+const API_SIGNATURE_USED_PREFIX = 'API_SIG_USED_';
+const API_AUTH_PARAMS = ['clientId', 'apiKey', 'timestamp', 'signature'];
+
+function getApiClient(clientId) {
+    if (!clientId) return null;
+
+    const raw = PropertiesService.getScriptProperties()
+        .getProperty(API_CLIENT_PREFIX + String(clientId).toUpperCase());
+    if (!raw) return null;
+
+    try {
+        const client = JSON.parse(raw);
+        return {
+            clientId: String(clientId),
+            secret: client.secret,
+            scopes: Array.isArray(client.scopes) ? client.scopes : [],
+            active: client.active !== false,
+        };
+    } catch (e) {
+        Logger.log(`[API Auth] Invalid client config for ${clientId}: ${e.message}`);
+        return null;
+    }
+}
+
+function hasApiScope(client, scope) {
+    if (!scope) return true;
+    return client.scopes.includes('*') || client.scopes.includes(scope);
+}
+
+function toHex(bytes) {
+    return bytes.map(b => ('0' + (b & 0xFF).toString(16)).slice(-2)).join('');
+}
+
+function computeApiSignature(secret, method, path, timestamp, payload) {
+    const message = [method, path, timestamp, payload || ''].join('\n');
+    return toHex(Utilities.computeHmacSha256Signature(message, secret, Utilities.Charset.UTF_8));
+}
+
+function safeEquals(a, b) {
+    a = String(a || '');
+    b = String(b || '');
+    if (a.length !== b.length) return false;
+
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+/**
+ * Marks a verified signature as used
+ * @param {string} signature - Lower-case hex signature
+ * @param {number} timestamp - Signed timestamp (epoch ms)
+ * @returns {string} 'claimed', 'replayed', or 'busy' when the guard could not be taken
+ */
+function claimApiSignature(signature, timestamp) {
+    const cache = CacheService.getScriptCache();
+    const key = API_SIGNATURE_USED_PREFIX + signature;
+
+    // Short script lock so two concurrent replays cannot both see the signature as unused
+    const guard = LockService.getScriptLock();
+    if (!guard.tryLock(GUARD_WAIT_MS * 5)) return 'busy';
+
+    try {
+        if (cache.get(key)) return 'replayed';
+
+        // Kept until the timestamp falls outside the tolerance window
+        const ttlSec = Math.ceil((timestamp + API_SIGNATURE_TOLERANCE_MS - Date.now()) / 1000) + 1;
+        cache.put(key, String(timestamp), Math.max(1, ttlSec));
+        return 'claimed';
+    } finally {
+        guard.releaseLock();
+    }
+}
+
+/**
+ * Payload covered by the signature: the raw body for POST, the sorted
+ * non-auth query parameters for GET.
+ */
+function getApiSigningPayload(e, method) {
+    if (method === 'POST') {
+        return (e.postData && e.postData.contents) || '';
+    }
+
+    const params = e.parameter || {};
+    return Object.keys(params)
+        .filter(key => !API_AUTH_PARAMS.includes(key))
+        .sort()
+        .map(key => `${key}=${params[key]}`)
+        .join('&');
+}
+
+/**
+ * Authenticates the caller and checks the scope required by the endpoint
+ * @param {Object} e - The event object
+ * @param {string} method - HTTP method
+ * @param {string} path - Resolved endpoint path
+ * @param {string} scope - Scope required by the endpoint
+ * @returns {Object} { isValid, client, error, code }
+ */
+function authenticateApiRequest(e, method, path, scope) {
+    const params = e.parameter || {};
+    const clientId = params.clientId;
+
+    const reject = (error, code) => {
+        Logger.log(`[API Auth] Rejected ${method} ${path} (client: ${clientId || 'unknown'}): ${error}`);
+        return { isValid: false, client: null, error, code };
+    };
+
+    if (!clientId) {
+        return reject('Missing client credentials.', 401);
+    }
+
+    const client = getApiClient(clientId);
+    if (!client || !client.active || !client.secret) {
+        return reject('Unknown or inactive client.', 401);
+    }
+
+    if (params.signature) {
+        const timestamp = Number(params.timestamp);
+        if (!timestamp || Math.abs(Date.now() - timestamp) > API_SIGNATURE_TOLERANCE_MS) {
+            return reject('Signature timestamp is missing or expired.', 401);
+        }
+
+        const expected = computeApiSignature(
+            client.secret, method, path, params.timestamp, getApiSigningPayload(e, method)
+        );
+        const signature = String(params.signature).toLowerCase();
+        if (!safeEquals(expected, signature)) {
+            return reject('Invalid signature.', 401);
+        }
+
+        const claim = claimApiSignature(signature, timestamp);
+        if (claim === 'busy') {
+            return reject('Signature check is busy, please retry shortly.', 503);
+        }
+        if (claim === 'replayed') {
+            return reject('Signature has already been used.', 401);
+        }
+    } else if (!safeEquals(client.secret, params.apiKey)) {
+        return reject('Invalid API key.', 401);
+    }
+
+    if (!hasApiScope(client, scope)) {
+        return reject(`Client is not allowed to use scope "${scope}".`, 403);
+    }
+
+    Logger.log(`[API Auth] Client ${client.clientId} authorized for ${method} ${path}`);
+    return { isValid: true, client, error: null, code: 200 };
+}
+
+/**
+ * Builds the signed query string used by this script when calling the Master web app.
+ * Credentials come from the API_CLIENT_ID / API_CLIENT_SECRET script properties.
+ */
+function buildSignedApiQuery(method, path, payload) {
+    const props = PropertiesService.getScriptProperties();
+    const clientId = props.getProperty('API_CLIENT_ID');
+    const secret = props.getProperty('API_CLIENT_SECRET');
+
+    if (!clientId || !secret) {
+        Logger.log('[API Auth] API_CLIENT_ID / API_CLIENT_SECRET are not configured.');
+        return '';
+    }
+
+    const timestamp = String(Date.now());
+    const signature = computeApiSignature(secret, method, path, timestamp, payload);
+
+    return `clientId=${encodeURIComponent(clientId)}` +
+        `&timestamp=${timestamp}` +
+        `&signature=${signature}`;
+}
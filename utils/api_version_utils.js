@@ -0,0 +1,86 @@
+/**
+ * Split the version prefix from a path
+ * @param {string} path - e.g. /v2/request_status or /request_status
+ * @returns {Object} { version, path, isValid }
+ */
+function parseApiVersion(path) {
+    const match = String(path || '').match(/^\/(v\d+)(\/.*)?$/);
+    if (!match) {
+        return { version: API_DEFAULT_VERSION, path: path, isValid: true };
+    }
+
+    const version = match[1];
+    return {
+        version: version,
+        path: match[2] || '/',
+        isValid: !!API_VERSIONS[version]
+    };
+}
+
+function getApiVersionAdapter(version, endpoint) {
+    const adapters = API_VERSION_ADAPTERS[version] || {};
+    return adapters[`${endpoint.method} ${endpoint.path}`] || null;
+}
+
+/**
+ * Deprecation metadata attached to every response
+ */
+function getApiVersionMeta(version) {
+    const info = API_VERSIONS[version] || {};
+    return {
+        apiVersion: version,
+        deprecated: !!info.deprecated,
+        sunset: info.sunset || null,
+        successor: info.successor || null
+    };
+}
+
+/**
+ * Rewrites an old payload into the shape the current handler expects.
+ * Runs after authentication, so the signature still covers the original body.
+ * @returns {Array|null} Field errors when the old payload cannot be mapped, otherwise null
+ */
+function adaptApiRequest(e, version, endpoint) {
+    const adapter = getApiVersionAdapter(version, endpoint);
+    if (!adapter || !adapter.request || !e.postData || !e.postData.contents) return null;
+
+    const payload = JSON.parse(e.postData.contents);
+    const errors = adapter.errors ? adapter.errors(payload) : [];
+    if (errors.length > 0) {
+        Logger.log(`[API Version] ${version} payload rejected for ${endpoint.method} ${endpoint.path}`);
+        return errors;
+    }
+
+    e.postData.contents = JSON.stringify(adapter.request(payload));
+    Logger.log(`[API Version] ${version} payload adapted for ${endpoint.method} ${endpoint.path}`);
+    return null;
+}
+
+/**
+ * Maps the handler response back to the caller's version and adds `meta`
+ * @param {TextOutput} output - Response from createSuccessResponse / createErrorResponse
+ * @param {string} version - Resolved API version
+ * @param {Object} [endpoint=null] - Registry entry, when the route was resolved
+ * @returns {TextOutput} Adapted JSON response
+ */
+function adaptApiResponse(output, version, endpoint = null) {
+    let body;
+    try {
+        body = JSON.parse(output.getContent());
+    } catch (e) {
+        return output;
+    }
+
+    const adapter = endpoint ? getApiVersionAdapter(version, endpoint) : null;
+    if (adapter && adapter.response && body.status === 'success' && body.data) {
+        body.data = adapter.response(body.data);
+    }
+    body.meta = getApiVersionMeta(version);
+
+    if (body.meta.deprecated) {
+        Logger.log(`[API Version] Deprecated ${version} called (sunset ${body.meta.sunset})`);
+    }
+
+    return ContentService.createTextOutput(JSON.stringify(body))
+        .setMimeType(ContentService.MimeType.JSON);
+}
@@ -0,0 +1,205 @@
+/**
+ * One-click approval links sent in the "Request for Approval" email.
+ *
+ * A link carries a token: base64url(claims) + '.' + hex HMAC-SHA256(APPROVAL_LINK_SECRET, base64url(claims))
+ *   claims = { rn: request number, lvl: approval level, em: approver email, dec: decision, exp: epoch ms, jti: nonce }
+ *
+ * The Approve / Reject / Send Back links of one approver share the same jti, so
+ * using any of them invalidates the others. Used nonces are kept in Script
+ * Properties (APPROVAL_LINK_USED_<jti>) until the token expires.
+ *
+ * APPROVAL_LINK_SECRET must hold the same value in the Child and Master script properties.
+ */
+const APPROVAL_LINK_PATH = '/approval';
+const APPROVAL_LINK_TTL_MS = EXPIRED_DAY_LIMIT * 24 * 60 * 60 * 1000;
+const APPROVAL_LINK_USED_PREFIX = 'APPROVAL_LINK_USED_';
+
+const APPROVAL_LINK_DECISIONS = [
+    ApproverStatus.APPROVED,
+    ApproverStatus.REJECTED,
+    ApproverStatus.SEND_BACK
+];
+
+function getApprovalLinkSecret() {
+    const secret = PropertiesService.getScriptProperties().getProperty('APPROVAL_LINK_SECRET');
+    if (!secret) {
+        Logger.log('[ApprovalLink] APPROVAL_LINK_SECRET is not configured.');
+    }
+    return secret;
+}
+
+function signApprovalLinkPart(encodedClaims, secret) {
+    return toHex(Utilities.computeHmacSha256Signature(encodedClaims, secret, Utilities.Charset.UTF_8));
+}
+
+/**
+ * Builds the Approve / Reject / Send Back links for one approver
+ * @param {string} requestNumber - Request number
+ * @param {string} level - Approval level (ATTACHMENT_SYNC_CONTEXTS prop)
+ * @param {string} approverEmail - Approver the links are issued to
+ * @returns {Object|null} { [decision]: url }, or null when links cannot be signed
+ */
+function createApprovalLinks(requestNumber, level, approverEmail) {
+    const secret = getApprovalLinkSecret();
+    if (!secret) return null;
+
+    const jti = Utilities.getUuid();
+    const exp = Date.now() + APPROVAL_LINK_TTL_MS;
+
+    return APPROVAL_LINK_DECISIONS.reduce((links, decision) => {
+        const claims = {
+            rn: requestNumber,
+            lvl: level,
+            em: String(approverEmail).trim().toLowerCase(),
+            dec: decision,
+            exp: exp,
+            jti: jti
+        };
+        const encodedClaims = Utilities.base64EncodeWebSafe(JSON.stringify(claims), Utilities.Charset.UTF_8);
+        const token = `${encodedClaims}.${signApprovalLinkPart(encodedClaims, secret)}`;
+
+        links[decision] = `${WEB_APP_URL}?path=${encodeURIComponent(APPROVAL_LINK_PATH)}&token=${encodeURIComponent(token)}`;
+        return links;
+    }, {});
+}
+
+/**
+ * Verifies signature, expiry and single use of a token
+ * @param {string} token - Token from the link
+ * @returns {Object} { isValid, claims, error }
+ */
+function verifyApprovalToken(token) {
+    const invalid = (error) => ({ isValid: false, claims: null, error });
+
+    const secret = getApprovalLinkSecret();
+    if (!secret) return invalid('Approval links are not available at the moment.');
+
+    const [encodedClaims, signature] = String(token || '').split('.');
+    if (!encodedClaims || !signature) return invalid('This approval link is invalid.');
+
+    if (!safeEquals(signApprovalLinkPart(encodedClaims, secret), signature.toLowerCase())) {
+        return invalid('This approval link is invalid.');
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Utilities.newBlob(Utilities.base64DecodeWebSafe(encodedClaims)).getDataAsString());
+    } catch (e) {
+        return invalid('This approval link is invalid.');
+    }
+
+    if (!claims.exp || Date.now() > claims.exp) {
+        return invalid('This approval link has expired. Please open the attachment to record your decision.');
+    }
+    if (isApprovalTokenUsed(claims.jti)) {
+        return invalid('This approval link has already been used.');
+    }
+
+    return { isValid: true, claims, error: null };
+}
+
+function isApprovalTokenUsed(jti) {
+    return !!PropertiesService.getScriptProperties().getProperty(APPROVAL_LINK_USED_PREFIX + jti);
+}
+
+/**
+ * Marks a nonce as used and drops markers of tokens that already expired
+ */
+function markApprovalTokenUsed(claims) {
+    const props = PropertiesService.getScriptProperties();
+    const now = Date.now();
+
+    Object.entries(props.getProperties())
+        .filter(([key, exp]) => key.startsWith(APPROVAL_LINK_USED_PREFIX) && Number(exp) < now)
+        .forEach(([key]) => props.deleteProperty(key));
+
+    props.setProperty(APPROVAL_LINK_USED_PREFIX + claims.jti, String(claims.exp));
+}
+
+/**
+ * Handles GET (confirmation page) and POST (confirmed decision) on ?path=/approval.
+ * The signed token is the credential, so this route bypasses API client auth.
+ * @param {Object} e - The event object
+ * @param {string} method - HTTP method
+ * @returns {HtmlOutput} Page shown to the approver
+ */
+function handleApprovalLink(e, method) {
+    const params = e.parameter || {};
+    const verification = verifyApprovalToken(params.token);
+    if (!verification.isValid) {
+        Logger.log(`[ApprovalLink] Rejected token: ${verification.error}`);
+        return renderApprovalPage('Link not available', verification.error);
+    }
+
+    const { rn, lvl, em, dec } = verification.claims;
+
+    if (method === 'GET') {
+        return renderApprovalConfirmPage(verification.claims, params.token);
+    }
+
+    const note = String(params.note || '').trim();
+    let result;
+    try {
+        result = withKeyLock(`approval-link:${verification.claims.jti}`, 'handleApprovalLink', () => {
+            // Re-check inside the lock so a double submit cannot record twice
+            if (isApprovalTokenUsed(verification.claims.jti)) {
+                return { success: false, code: 409, error: 'This approval link has already been used.' };
+            }
+
+            const levelCtx = ATTACHMENT_SYNC_CONTEXTS.find(ctx => ctx.levelOrder > 0 && ctx.prop === lvl);
+            const outcome = recordApproverDecision(rn, levelCtx, dec, em, em, note || null);
+            if (outcome.success || outcome.code === 409) {
+                markApprovalTokenUsed(verification.claims);
+            }
+            return outcome;
+        }, 1, 30000, KEY_LOCK_MODE.EXCLUSIVE, { staleAfterMs: HANDLER_STALE_THRESHOLD_MS });
+    } catch (error) {
+        Logger.log(`[ApprovalLink] Error recording ${rn} ${lvl}: ${error.message}`);
+        result = { success: false, code: 500, error: 'The decision could not be recorded right now. Please try again later.' };
+    }
+
+    if (!result.success) {
+        Logger.log(`[ApprovalLink] ${rn} ${lvl}=${dec} by ${em} failed: ${result.error}`);
+        return renderApprovalPage('Decision not recorded', result.error);
+    }
+
+    Logger.log(`[ApprovalLink] ${rn} ${lvl}=${dec} recorded by ${em}`);
+    return renderApprovalPage('Decision recorded', `Your decision "${dec}" for request ${rn} has been recorded. You can close this page.`);
+}
+
+function escapeApprovalHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function renderApprovalPage(title, message, contentHtml = '') {
+    const html = `
+        <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 560px; margin: 40px auto;">
+            <h2>${escapeApprovalHtml(title)}</h2>
+            ${message ? `<p>${escapeApprovalHtml(message)}</p>` : ''}
+            ${contentHtml}
+        </div>
+    `;
+    return HtmlService.createHtmlOutput(html).setTitle(title);
+}
+
+function renderApprovalConfirmPage(claims, token) {
+    const { rn, lvl, em, dec } = claims;
+    const content = `
+        <p><strong>Request No:</strong> ${escapeApprovalHtml(rn)}</p>
+        <p><strong>Level:</strong> ${escapeApprovalHtml(lvl)}</p>
+        <p><strong>Approver:</strong> ${escapeApprovalHtml(em)}</p>
+        <p><strong>Decision:</strong> ${escapeApprovalHtml(dec)}</p>
+        <form method="post" action="${escapeApprovalHtml(WEB_APP_URL)}" target="_top">
+            <input type="hidden" name="path" value="${escapeApprovalHtml(APPROVAL_LINK_PATH)}">
+            <input type="hidden" name="token" value="${escapeApprovalHtml(token)}">
+            <p><label for="note">Note (optional)</label><br>
+            <textarea id="note" name="note" rows="4" style="width: 100%;"></textarea></p>
+            <button type="submit">Confirm ${escapeApprovalHtml(dec)}</button>
+        </form>
+    `;
+    return renderApprovalPage('Confirm your decision', null, content);
+}
@@ -0,0 +1,104 @@
+/**
+ * Edits on agent / child sheets that could not get their row lock (another execution was
+ * working on the row) are queued in Script Properties and replayed by onChildInterval,
+ * so the user's change is handled later instead of being dropped.
+ *
+ * One property per edit (`CHILD_EDIT_QUEUE_<uuid>`), keyed back to its row by request number
+ * because rows can move before the replay.
+ */
+const CHILD_EDIT_QUEUE_PREFIX = 'CHILD_EDIT_QUEUE_';
+const CHILD_EDIT_QUEUE_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {Object} edit - { sheetName, requestNumber, colIndex, userEmail, previousStatus }
+ * @returns {boolean} True when queued
+ */
+function queueChildEdit(edit) {
+    if (!edit.requestNumber) {
+        Logger.log(`[ChildEditQueue] Edit on ${edit.sheetName} col ${edit.colIndex} has no request number; not queued.`);
+        return false;
+    }
+
+    PropertiesService.getScriptProperties().setProperty(
+        CHILD_EDIT_QUEUE_PREFIX + Utilities.getUuid(),
+        JSON.stringify({ ...edit, queuedAt: Date.now() })
+    );
+    Logger.log(`[ChildEditQueue] Queued edit of ${edit.requestNumber} on ${edit.sheetName} col ${edit.colIndex}.`);
+    return true;
+}
+
+/**
+ * Runs the queued edits of this spreadsheet, oldest first, under the same row lock as onChildEdit.
+ * Edits whose row is still busy stay queued for the next run.
+ * @param {Spreadsheet} spreadsheet - Active child spreadsheet
+ */
+function replayQueuedChildEdits(spreadsheet) {
+    const operation = 'replayQueuedChildEdits';
+    const props = PropertiesService.getScriptProperties();
+    const queued = Object.entries(props.getProperties())
+        .filter(([key]) => key.startsWith(CHILD_EDIT_QUEUE_PREFIX))
+        .map(([key, raw]) => {
+            try {
+                return { key, ...JSON.parse(raw) };
+            } catch (e) {
+                Logger.log(`[${operation}] Malformed entry ${key}; dropping.`);
+                props.deleteProperty(key);
+                return null;
+            }
+        })
+        .filter(edit => edit && spreadsheet.getSheetByName(edit.sheetName))
+        .sort((a, b) => a.queuedAt - b.queuedAt);
+
+    if (queued.length === 0) return;
+
+    withKeyLock('childEdit:queue', operation, (_lock, queueBeat) => {
+        queued.forEach(edit => {
+            if (Date.now() - edit.queuedAt > CHILD_EDIT_QUEUE_MAX_AGE_MS) {
+                Logger.log(`[${operation}] Edit of ${edit.requestNumber} expired; dropping.`);
+                props.deleteProperty(edit.key);
+                return;
+            }
+
+            const sheet = spreadsheet.getSheetByName(edit.sheetName);
+            const rowIndex = getRowIndex(sheet, edit.requestNumber);
+            if (rowIndex === -1) {
+                Logger.log(`[${operation}] ${edit.requestNumber} no longer on ${edit.sheetName}; dropping.`);
+                props.deleteProperty(edit.key);
+                return;
+            }
+
+            let started = false;
+            try {
+                withRowLock(edit.sheetName, rowIndex, operation, (_rowLock, beat, fence) => {
+                    started = true;
+                    const headerRow = getColumnHeaders(sheet, false, ACTIVITY_HEADER_ROW_INDEX);
+                    const rowValues = sheet.getRange(rowIndex, 1, 1, headerRow.length || sheet.getLastColumn()).getValues()[0];
+                    const rowData = {};
+                    headerRow.forEach((header, index) => {
+                        if (header) rowData[header] = rowValues[index];
+                    });
+
+                    const activitySheetName = getSheetName(rowData[ColNames.REQUEST_TYPE]);
+                    if (activitySheetName) {
+                        const RequestClass = getRequestClass(activitySheetName);
+                        const request = new RequestClass(sheet, rowIndex, edit.colIndex, rowData);
+                        fence(request.activity);
+                        request.setLockBeat(() => { beat(); queueBeat(); });
+                        request.handleOnEdit(edit.userEmail, edit.previousStatus);
+                    }
+                }, 3, 600, { staleAfterMs: HANDLER_STALE_THRESHOLD_MS });
+
+                props.deleteProperty(edit.key);
+                Logger.log(`[${operation}] Replayed edit of ${edit.requestNumber} on ${edit.sheetName}#${rowIndex}.`);
+            } catch (e) {
+                if (started) {
+                    // The handler itself failed; the row is left for the usual recovery jobs
+                    Logger.log(`[${operation}] Replay of ${edit.requestNumber} failed: ${e.message}; dropping.`);
+                    props.deleteProperty(edit.key);
+                } else {
+                    Logger.log(`[${operation}] ${edit.requestNumber} still pending: ${e.message}`);
+                }
+            }
+        });
+    }, 3, 1000);
+}
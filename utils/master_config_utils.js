@@ -230,13 +230,14 @@ class MasterConfig {
             companyCode,
             requestType,
             department,
-            useDefault = true
+            useDefault = true,
+            sheetName = 'Work Allocation'
         } = context;
 
         const ALL = 'ALL';
 
         // Use cached data retrieval
-        const data = this.getCachedSheetData('Work Allocation', [
+        const data = this.getCachedSheetData(sheetName, [
             'COMPANY CODE',
             'ACTIVITIES',
             'DEPT',
@@ -248,7 +249,7 @@ class MasterConfig {
         ]);
 
         if (!data) {
-            console.error('[ConfigurationMaster] Failed to get "Work Allocation" sheet data');
+            console.error(`[ConfigurationMaster] Failed to get "${sheetName}" sheet data`);
             return null;
         }
 
@@ -306,7 +307,7 @@ class MasterConfig {
         for (const key of keysToTry) {
             const alloc = lookup.get(key);
             if (alloc) {
-                return alloc;
+                return { ...alloc, key };
             }
         }
 
@@ -356,6 +357,56 @@ class MasterConfig {
         return rules;
     }
 
+    /**
+     * Webhook subscribers from the "Webhooks" sheet
+     * @param {string} [event=null] - Only return active subscribers listening to this event
+     * @returns {Array<Object>} { name, url, events, secret, active }
+     */
+    getWebhookSubscribers(event = null) {
+        const data = this.getCachedSheetData('Webhooks', [
+            'NAME', 'URL', 'EVENTS', 'SECRET', 'ACTIVE'
+        ], 1);
+
+        if (!data) {
+            console.error('[ConfigurationMaster] Failed to get "Webhooks" sheet data');
+            return [];
+        }
+
+        const {
+            'NAME': names,
+            'URL': urls,
+            'EVENTS': events,
+            'SECRET': secrets,
+            'ACTIVE': actives
+        } = data;
+
+        const subscribers = [];
+        for (let i = 1; i < names.length; i++) {
+            if (!names[i] || !urls[i]) continue;
+
+            const subscriber = {
+                name: String(names[i]).trim(),
+                url: String(urls[i]).trim(),
+                events: String(events[i] || WEBHOOK_EVENT_WILDCARD)
+                    .split(',')
+                    .map(e => e.trim())
+                    .filter(Boolean),
+                secret: String(secrets[i] || ''),
+                active: String(actives[i]).toUpperCase() === 'TRUE'
+            };
+
+            if (event && (!subscriber.active || !this._isWebhookEventMatch(subscriber, event))) continue;
+            subscribers.push(subscriber);
+        }
+
+        return subscribers;
+    }
+
+    _isWebhookEventMatch(subscriber, event) {
+        return subscriber.events.includes(WEBHOOK_EVENT_WILDCARD) ||
+            subscriber.events.includes(event);
+    }
+
     getRowScore(rowData, colIndexes, rules, timeNow) {
         let totalScore = 0;
         let uniqueRuleColumns = [...new Set(rules.map(r => r.COLUMN))];
@@ -826,14 +877,19 @@ function getOptimizedConfig(configType, params) {
     }
 }
 
-function getMdmDistributionMatrix() {
+/**
+ * @param {string} [sheetName="Distribution"] - Matrix sheet, e.g. "Distribution (Proposed)" for a simulation.
+ *   Only the live sheet is cached; other sheets are read fresh so edits show up on the next run.
+ */
+function getMdmDistributionMatrix(sheetName = "Distribution") {
     const cache = CacheService.getScriptCache();
     const CACHE_KEY = 'MDM_DISTRIBUTION_MATRIX_CACHE'; // Key cache diperbarui agar sesuai
     const CACHE_DURATION = 21600; // 6 jam
+    const useCache = sheetName === "Distribution";
 
     // 1. Coba ambil dari cache
     try {
-        const cachedData = cache.get(CACHE_KEY);
+        const cachedData = useCache ? cache.get(CACHE_KEY) : null;
         if (cachedData) {
             Logger.log("[getMdmDistributionMatrix] Cache HIT. Menggunakan data matrix dari cache.");
             return JSON.parse(cachedData);
@@ -843,16 +899,16 @@ function getMdmDistributionMatrix() {
     }
 
     // 2. Cache MISS: Baca dari sheet
-    Logger.log("[getMdmDistributionMatrix] Cache MISS. Membaca sheet 'Distribution'...");
+    Logger.log(`[getMdmDistributionMatrix] Cache MISS. Membaca sheet '${sheetName}'...`);
 
     try {
         const configSS = SpreadsheetApp.openById(MASTER_CONFIGURATION_UID); //
         // --- PERUBAHAN NAMA SHEET DI SINI ---
-        const matrixSheet = configSS.getSheetByName("Distribution"); 
+        const matrixSheet = configSS.getSheetByName(sheetName); 
         // ------------------------------------
 
         if (!matrixSheet) {
-            Logger.log("Error: Sheet 'Distribution' tidak ditemukan.");
+            Logger.log(`Error: Sheet '${sheetName}' tidak ditemukan.`);
             return null;
         }
 
@@ -888,17 +944,19 @@ function getMdmDistributionMatrix() {
         }
 
         // 3. Simpan ke Cache
-        try {
-            cache.put(CACHE_KEY, JSON.stringify(matrix), CACHE_DURATION);
-            Logger.log(`[getMdmDistributionMatrix] Matrix disimpan di cache selama ${CACHE_DURATION} detik.`);
-        } catch (e) {
-            Logger.log(`[getMdmDistributionMatrix] Gagal menyimpan ke cache: ${e.message}`);
+        if (useCache) {
+            try {
+                cache.put(CACHE_KEY, JSON.stringify(matrix), CACHE_DURATION);
+                Logger.log(`[getMdmDistributionMatrix] Matrix disimpan di cache selama ${CACHE_DURATION} detik.`);
+            } catch (e) {
+                Logger.log(`[getMdmDistributionMatrix] Gagal menyimpan ke cache: ${e.message}`);
+            }
         }
 
         return matrix;
 
     } catch (e) {
-        Logger.log(`Error reading 'Distribution': ${e.message}`);
+        Logger.log(`Error reading '${sheetName}': ${e.message}`);
         return null;
     }
 }
@@ -906,4 +964,195 @@ function getMdmDistributionMatrix() {
 function clearMdmDistributionCache() {
     CacheService.getScriptCache().remove('MDM_DISTRIBUTION_MATRIX_CACHE');
     Logger.log("Cache MDM Distribution berhasil dihapus.");
+}
+
+const ROUND_ROBIN_RULES_CACHE_KEY = 'MDM_ROUND_ROBIN_RULES_CACHE';
+
+/**
+ * Reads the tie-break rules from the "Round Robin" sheet of the configuration spreadsheet.
+ *   Request Type | Mode | <MDM name> | <MDM name> | ...
+ * Mode is a RoundRobinMode value; agent cells hold the weight (empty = 1, 0 = only when every tied agent is 0).
+ * The "ALL" row applies to request types without their own row.
+ * @returns {Object} { [requestType]: { mode, weights: { [MDM NAME]: weight } } }
+ */
+function getRoundRobinRules() {
+    const cache = CacheService.getScriptCache();
+    const CACHE_DURATION = 21600; // 6 jam
+
+    try {
+        const cachedData = cache.get(ROUND_ROBIN_RULES_CACHE_KEY);
+        if (cachedData) return JSON.parse(cachedData);
+    } catch (e) {
+        Logger.log(`[getRoundRobinRules] Gagal membaca cache: ${e.message}. Mengambil data baru.`);
+    }
+
+    const modes = Object.values(RoundRobinMode);
+    const rules = {};
+
+    try {
+        const configSS = SpreadsheetApp.openById(MASTER_CONFIGURATION_UID);
+        const sheet = configSS.getSheetByName("Round Robin");
+        if (sheet) {
+            const data = sheet.getDataRange().getValues();
+            const mdmHeaders = (data[0] || []).slice(2).map(name => String(name || '').trim().toUpperCase());
+
+            for (let i = 1; i < data.length; i++) {
+                const requestType = String(data[i][0] || '').trim();
+                if (!requestType) continue;
+
+                const rawMode = String(data[i][1] || '').trim().toLowerCase();
+                const weights = {};
+                mdmHeaders.forEach((mdmName, j) => {
+                    const cell = data[i][j + 2];
+                    if (!mdmName || cell === '' || cell === null) return;
+                    const weight = Number(cell);
+                    if (!isNaN(weight)) weights[mdmName] = weight;
+                });
+
+                rules[requestType] = {
+                    mode: modes.find(mode => mode.toLowerCase() === rawMode) || RoundRobinMode.SEQUENTIAL,
+                    weights: weights
+                };
+            }
+        }
+    } catch (e) {
+        Logger.log(`Error reading 'Round Robin': ${e.message}`);
+        return rules;
+    }
+
+    try {
+        cache.put(ROUND_ROBIN_RULES_CACHE_KEY, JSON.stringify(rules), CACHE_DURATION);
+    } catch (e) {
+        Logger.log(`[getRoundRobinRules] Gagal menyimpan ke cache: ${e.message}`);
+    }
+
+    return rules;
+}
+
+/**
+ * Tie-break rule of one request type
+ * @param {string} requestType - Request type
+ * @returns {Object} { mode, weights }
+ */
+function getRoundRobinRule(requestType) {
+    const rules = getRoundRobinRules();
+    return rules[String(requestType || '').trim()] || rules.ALL || { mode: RoundRobinMode.SEQUENTIAL, weights: {} };
+}
+
+function clearRoundRobinRulesCache() {
+    CacheService.getScriptCache().remove(ROUND_ROBIN_RULES_CACHE_KEY);
+    Logger.log("Cache Round Robin berhasil dihapus.");
+}
+
+const MDM_CALENDAR_CACHE_KEY = 'MDM_CALENDAR_CACHE';
+
+/**
+ * Converts a time cell (9, 17.5, "08:30" or a time-formatted Date) to decimal hours
+ */
+function parseCalendarHour(value, fallback) {
+    if (value instanceof Date) return value.getHours() + value.getMinutes() / 60;
+    if (typeof value === 'number') return value;
+
+    const text = String(value || '').trim();
+    if (!text) return fallback;
+    if (text.includes(':')) {
+        const [hours, minutes] = text.split(':').map(p => parseInt(p, 10));
+        return isNaN(hours) ? fallback : hours + (minutes || 0) / 60;
+    }
+
+    const parsed = parseFloat(text);
+    return isNaN(parsed) ? fallback : parsed;
+}
+
+/**
+ * Reads the agent calendars from the configuration spreadsheet.
+ *   "Calendar" : MDM Name | Work Start | Work End | Lunch Start | Lunch End | Work Days | Max Open Seconds | Max Open Tasks | Email
+ *   "Leave"    : MDM Name | Leave From | Leave To
+ * Work Days is a list such as "Mon,Tue,Wed"; empty cells use getDefaultWorkCalendar().
+ * Max Open Seconds / Max Open Tasks cap each working day, see RequestAllocator._isOverDailyCap.
+ * @returns {Object} { [MDM NAME]: calendar }
+ */
+function getMdmCalendars() {
+    const cache = CacheService.getScriptCache();
+    const CACHE_DURATION = 3600; // 1 jam, cuti bisa berubah sewaktu-waktu
+
+    try {
+        const cachedData = cache.get(MDM_CALENDAR_CACHE_KEY);
+        if (cachedData) return JSON.parse(cachedData);
+    } catch (e) {
+        Logger.log(`[getMdmCalendars] Gagal membaca cache: ${e.message}. Mengambil data baru.`);
+    }
+
+    const dayIndex = { SUN: 0, MON: 1, TUE: 2, WED: 3, THU: 4, FRI: 5, SAT: 6 };
+    const defaults = getDefaultWorkCalendar();
+    const calendars = {};
+
+    try {
+        const configSS = SpreadsheetApp.openById(MASTER_CONFIGURATION_UID);
+
+        const calendarSheet = configSS.getSheetByName("Calendar");
+        if (calendarSheet && calendarSheet.getLastRow() > 1) {
+            const lastCol = Math.min(calendarSheet.getMaxColumns(), 9);
+            calendarSheet.getRange(2, 1, calendarSheet.getLastRow() - 1, lastCol).getValues().forEach(row => {
+                const mdmName = String(row[0] || '').trim().toUpperCase();
+                if (!mdmName) return;
+
+                const workDays = String(row[5] || '')
+                    .split(',')
+                    .map(day => dayIndex[day.trim().slice(0, 3).toUpperCase()])
+                    .filter(day => day !== undefined);
+
+                calendars[mdmName] = {
+                    workStartHour: parseCalendarHour(row[1], defaults.workStartHour),
+                    workEndHour: parseCalendarHour(row[2], defaults.workEndHour),
+                    lunchStartHour: parseCalendarHour(row[3], defaults.lunchStartHour),
+                    lunchEndHour: parseCalendarHour(row[4], defaults.lunchEndHour),
+                    workDays: workDays.length > 0 ? workDays : defaults.workDays,
+                    maxOpenSeconds: Number(row[6]) || null,
+                    maxOpenTasks: Number(row[7]) || null,
+                    email: String(row[8] || '').trim() || null,
+                    leave: []
+                };
+            });
+        }
+
+        const leaveSheet = configSS.getSheetByName("Leave");
+        if (leaveSheet && leaveSheet.getLastRow() > 1) {
+            leaveSheet.getRange(2, 1, leaveSheet.getLastRow() - 1, 3).getValues().forEach(([name, from, to]) => {
+                const mdmName = String(name || '').trim().toUpperCase();
+                const fromDate = new Date(from);
+                const toDate = to ? new Date(to) : fromDate;
+                if (!mdmName || isNaN(fromDate) || isNaN(toDate)) return;
+
+                calendars[mdmName] = calendars[mdmName] || { ...defaults, maxOpenSeconds: null, maxOpenTasks: null, email: null, leave: [] };
+                calendars[mdmName].leave.push({ from: fromDate.getTime(), to: toDate.getTime() });
+            });
+        }
+    } catch (e) {
+        Logger.log(`Error reading 'Calendar'/'Leave': ${e.message}`);
+        return calendars;
+    }
+
+    try {
+        cache.put(MDM_CALENDAR_CACHE_KEY, JSON.stringify(calendars), CACHE_DURATION);
+    } catch (e) {
+        Logger.log(`[getMdmCalendars] Gagal menyimpan ke cache: ${e.message}`);
+    }
+
+    return calendars;
+}
+
+/**
+ * Calendar of one agent, falling back to the global working hours
+ * @param {string} mdmName - Agent name
+ * @returns {Object} { workStartHour, workEndHour, lunchStartHour, lunchEndHour, workDays, maxOpenSeconds, maxOpenTasks, email, leave }
+ */
+function getMdmCalendar(mdmName) {
+    const calendar = getMdmCalendars()[String(mdmName || '').trim().toUpperCase()];
+    return calendar || { ...getDefaultWorkCalendar(), maxOpenSeconds: null, maxOpenTasks: null, email: null };
+}
+
+function clearMdmCalendarCache() {
+    CacheService.getScriptCache().remove(MDM_CALENDAR_CACHE_KEY);
+    Logger.log("Cache MDM Calendar berhasil dihapus.");
 }
\ No newline at end of file
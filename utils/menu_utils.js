@@ -490,6 +490,57 @@ function fixRequestApproved() {
     SpreadsheetApp.getActiveSpreadsheet().toast(`Completed! Processed: ${processedCount}`, 'Complete', 3);
 }
 
+function cancelSelectedRequests() {
+    const ui = SpreadsheetApp.getUi();
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+
+    if (!Object.values(ActivitySheetNames).includes(sheet.getName())) {
+        ui.alert("Cancel Request can only be used on a Master activity sheet.");
+        return;
+    }
+
+    const rowIndexList = getSelectedRowIndex().filter(row => row > ACTIVITY_HEADER_ROW_INDEX);
+    if (rowIndexList.length === 0) {
+        ui.alert("No rows selected.");
+        return;
+    }
+
+    const response = ui.prompt(
+        'Cancel Request',
+        `Cancel ${rowIndexList.length} request(s) on behalf of the requester?\n\nEnter the cancellation reason:`,
+        ui.ButtonSet.OK_CANCEL
+    );
+    if (response.getSelectedButton() !== ui.Button.OK) return;
+
+    const reason = response.getResponseText().trim() || null;
+    const requestNumbers = rowIndexList
+        .map(rowIndex => getValueByColumn(sheet, ColNames.REQUEST_NUMBER, rowIndex, ACTIVITY_HEADER_ROW_INDEX))
+        .filter(Boolean);
+
+    SpreadsheetApp.getActiveSpreadsheet().toast(`Cancelling ${requestNumbers.length} requests...`, 'Cancel Request', 5);
+
+    const failed = [];
+    let cancelledCount = 0;
+    requestNumbers.forEach(requestNumber => {
+        try {
+            const result = cancelRequest(requestNumber, SystemActor.MDM, reason);
+            if (result.success) {
+                cancelledCount++;
+            } else {
+                failed.push(`${requestNumber}: ${result.error}`);
+            }
+        } catch (error) {
+            failed.push(`${requestNumber}: ${error.message}`);
+            Logger.log(`[cancelSelectedRequests] Error: ${error.message}`);
+        }
+    });
+
+    SpreadsheetApp.getActiveSpreadsheet().toast(`Completed! Cancelled: ${cancelledCount}`, 'Complete', 3);
+    if (failed.length > 0) {
+        ui.alert(`Not cancelled (${failed.length}):\n${failed.join('\n')}`);
+    }
+}
+
 function mergeSelectedVBS() {
     var sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
     var range = sheet.getActiveRange();
@@ -560,7 +611,6 @@ function changeMDM() {
     const ui = SpreadsheetApp.getUi();
     const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
     const sheet = spreadsheet.getActiveSheet();
-    const sourceSheetName = sheet.getName();
     const rowIndexList = getSelectedRowIndex();
 
     if (rowIndexList.length === 0) {
@@ -594,83 +644,167 @@ function changeMDM() {
 
     rowIndexList.forEach((rowIndex, idx) => {
         try {
-            withRowLock(sheet.getName(), rowIndex, 'changeMDM-source', (_srcLock, beatSrc) => {
-                const RequestCtor = getRequestClass(sheet.getName());
-                const request = new RequestCtor(sheet, rowIndex);
-
-                const { REQUEST_NUMBER, REQUEST_TYPE, DEPARTMENT, ATTACHMENT, COMPANY_CODE_NAME } = request.activity.getActivityValueMap();
-                const rawVal = getValueByColumn(sheet, ColNames.ESTIMATED_TIME, rowIndex, ACTIVITY_HEADER_ROW_INDEX);
-
-                let secondsToTransfer = 0;
-                
-                // Parsing
-                const parsedVal = parseFloat(String(rawVal));
-                
-                // Validasi
-                if (Number.isFinite(parsedVal)) {
-                    secondsToTransfer = parsedVal;
-                } else {
-                    Logger.log(`[changeMDM] ❌ Invalid Value! parsedVal=${parsedVal}. Defaulting to 0.`);
-                    secondsToTransfer = 0;
-                }
+            const requestNumber = transferWorkspaceRow(spreadsheet, sheet, rowIndex, targetSheetNames);
+            processed.push({ req: requestNumber, srcRowAtSelection: rowIndex });
 
-                Logger.log(`[changeMDM] ✅ Seconds to Transfer: ${secondsToTransfer}`);
-                // =========================================================
-                const originalSheetName = sheet.getName();
+            if ((idx + 1) % 5 === 0 && idx + 1 < totalRows) {
+                SpreadsheetApp.getActiveSpreadsheet().toast(`Processed ${idx + 1} of ${totalRows}...`, 'Change MDM', 2);
+            }
+        } catch (e) {
+            failed.push({ rowIndex, error: e.message });
+        }
+    });
 
-                if (targetSheetNames.length > 1) {
-                    const attachmentId = ATTACHMENT ? extractSheetId(ATTACHMENT) : null;
-                    if (attachmentId) addDriveEditors(attachmentId, [EMAIL_MDM_GROUP]);
-                }
+    deleteTransferredRows(sheet, processed, failed);
+
+    const message = `Change MDM completed!\nMoved: ${processed.length}\nFailed: ${failed.length}`;
+    SpreadsheetApp.getActiveSpreadsheet().toast(message, 'Complete', 3);
+    if (failed.length > 0) {
+        ui.alert(`Completed with ${failed.length} errors.`);
+    }
+}
 
-                withKeyLock(`changeMDM:copy:${primarySheetName}:${REQUEST_NUMBER}`, 'changeMDM-copy', (_k, beatKey) => {
-                    request.activityHandler.copyData(primarySheet, ACTIVITY_HEADER_ROW_INDEX, true);
-                    beatKey();
-                }, 2, 10000);
+/**
+ * Moves one workspace row to other agent sheets: copies the row, updates PROCESSED BY on Master,
+ * transfers the workload and writes the MASTER LOG. The source row is deleted afterwards by
+ * deleteTransferredRows.
+ * @param {Spreadsheet} spreadsheet - MDM workspace
+ * @param {Sheet} sheet - Source agent sheet
+ * @param {number} rowIndex - Source row
+ * @param {Array<string>} targetSheetNames - Target agent sheets, PIC first
+ * @param {string} [modification="Change MDM"] - Modification written to MASTER LOG
+ * @param {Object} [options]
+ * @param {number} [options.estimatedTime] - Estimate of the new PIC, written to the copy and Master
+ *   and booked as its workload (default: the source estimate is moved as is)
+ * @param {boolean} [options.resetProgress=false] - Clear Process Status, Taken Date and Estimated
+ *   Time Finished on the copy and Master so the new PIC starts fresh
+ * @returns {string} Request number of the moved row
+ */
+function transferWorkspaceRow(spreadsheet, sheet, rowIndex, targetSheetNames, modification = "Change MDM", options = {}) {
+    const { estimatedTime = null, resetProgress = false } = options;
+    const sourceSheetName = sheet.getName();
+    const primarySheetName = targetSheetNames[0];
+    const primarySheet = spreadsheet.getSheetByName(primarySheetName);
+    const allSheetNames = targetSheetNames.join(', ');
 
-                const activitySheetName = getSheetName(REQUEST_TYPE);
-                const masterSheet = getMasterSpreadsheet(activitySheetName);
-                if (masterSheet) {
-                    const masterRowIndex = getRowIndex(masterSheet, REQUEST_NUMBER);
-                    if (masterRowIndex !== -1) {
-                        withRowLock(masterSheet.getName(), masterRowIndex, 'changeMDM-master', (_mLock, beatM) => {
-                            const RequestMasterCtor = getRequestClass(masterSheet.getName());
-                            const requestMaster = new RequestMasterCtor(masterSheet, masterRowIndex);
-                            beatM();
-                            requestMaster.activity.updateProcessedBy(allSheetNames);
-                        }, 2, 8000);
-                    }
-                }
+    if (!primarySheet) {
+        throw new Error(`Target Sheet "${primarySheetName}" not found.`);
+    }
 
-                if (secondsToTransfer > 0) {
-                    callMasterApiToUpdateWorkload(sourceSheetName, -secondsToTransfer);
-                    callMasterApiToUpdateWorkload(primarySheetName, secondsToTransfer);
-                }
+    // Source row, copy and Master row are locked together (sorted, all-or-nothing), so two
+    // transfers in opposite directions cannot each hold one key and wait on the other
+    const requestNumber = getValueByColumn(sheet, ColNames.REQUEST_NUMBER, rowIndex, ACTIVITY_HEADER_ROW_INDEX);
+    const requestType = getValueByColumn(sheet, ColNames.REQUEST_TYPE, rowIndex, ACTIVITY_HEADER_ROW_INDEX);
+    const masterSheet = getMasterSpreadsheet(getSheetName(requestType));
+    const masterRowIndex = masterSheet ? getRowIndex(masterSheet, requestNumber) : -1;
+
+    const lockKeys = [
+        makeRowUserKey(sourceSheetName, rowIndex),
+        `changeMDM:copy:${primarySheetName}:${requestNumber}`
+    ];
+    if (masterRowIndex !== -1) {
+        lockKeys.push(makeRowUserKey(masterSheet.getName(), masterRowIndex));
+    }
 
-                // Log Workspace
-                logMDMWorkspace(
-                    spreadsheet, 
-                    REQUEST_NUMBER, 
-                    "Change MDM",
-                    COMPANY_CODE_NAME, 
-                    DEPARTMENT, 
-                    REQUEST_TYPE,
-                    originalSheetName, 
-                    allSheetNames
-                );
+    return withKeyLocks(lockKeys, 'changeMDM', (_locks, beat, fence) => {
+        const RequestCtor = getRequestClass(sheet.getName());
+        const request = new RequestCtor(sheet, rowIndex);
 
-                processed.push({ req: REQUEST_NUMBER, srcRowAtSelection: rowIndex });
+        const { REQUEST_NUMBER, REQUEST_TYPE, DEPARTMENT, ATTACHMENT, COMPANY_CODE_NAME } = request.activity.getActivityValueMap();
+        if (String(REQUEST_NUMBER) !== String(requestNumber)) {
+            throw new Error(`Row ${rowIndex} changed from ${requestNumber} to ${REQUEST_NUMBER} while waiting for locks.`);
+        }
+        const rawVal = getValueByColumn(sheet, ColNames.ESTIMATED_TIME, rowIndex, ACTIVITY_HEADER_ROW_INDEX);
+
+        let secondsToTransfer = 0;
+        
+        // Parsing
+        const parsedVal = parseFloat(String(rawVal));
+        
+        // Validasi
+        if (Number.isFinite(parsedVal)) {
+            secondsToTransfer = parsedVal;
+        } else {
+            Logger.log(`[changeMDM] ❌ Invalid Value! parsedVal=${parsedVal}. Defaulting to 0.`);
+            secondsToTransfer = 0;
+        }
 
-            }, 2, 12000);
+        Logger.log(`[changeMDM] ✅ Seconds to Transfer: ${secondsToTransfer}`);
+        // =========================================================
+        const originalSheetName = sheet.getName();
 
-            if ((idx + 1) % 5 === 0 && idx + 1 < totalRows) {
-                SpreadsheetApp.getActiveSpreadsheet().toast(`Processed ${idx + 1} of ${totalRows}...`, 'Change MDM', 2);
+        if (targetSheetNames.length > 1) {
+            const attachmentId = ATTACHMENT ? extractSheetId(ATTACHMENT) : null;
+            if (attachmentId) addDriveEditors(attachmentId, [EMAIL_MDM_GROUP]);
+        }
+
+        const copied = request.activityHandler.copyData(primarySheet, ACTIVITY_HEADER_ROW_INDEX, true);
+        if (!copied.success) {
+            throw new Error(`Copy to "${primarySheetName}" failed: ${copied.message}`);
+        }
+        beat();
+
+        const secondsToBook = Number.isFinite(estimatedTime) ? estimatedTime : secondsToTransfer;
+        const copyUpdates = [];
+        if (resetProgress) {
+            copyUpdates.push([ColNames.PROCESS_STATUS, ''], [ColNames.TAKEN_DATE, ''], [ColNames.ESTIMATED_TIME_FINISHED, '']);
+        }
+        if (secondsToBook !== secondsToTransfer) {
+            copyUpdates.push([ColNames.ESTIMATED_TIME, secondsToBook]);
+        }
+        if (copyUpdates.length > 0) {
+            setValuesWithIndexes(
+                primarySheet,
+                copyUpdates.map(([col]) => col),
+                copied.targetRowIndex,
+                copyUpdates.map(([, value]) => value)
+            );
+        }
+
+        if (masterRowIndex !== -1) {
+            const RequestMasterCtor = getRequestClass(masterSheet.getName());
+            const requestMaster = new RequestMasterCtor(masterSheet, masterRowIndex);
+            fence(requestMaster.activity);
+            beat();
+            requestMaster.activity.updateProcessedBy(allSheetNames);
+
+            if (resetProgress) {
+                requestMaster.activity.updateProcessStatus('');
+                requestMaster.activity.updateTakenDate('');
+                requestMaster.activity.updateValue('ESTIMATED_TIME_FINISHED', '');
+            }
+            if (secondsToBook !== secondsToTransfer) {
+                requestMaster.activity.updateEstimatedTime(secondsToBook);
             }
-        } catch (e) {
-            failed.push({ rowIndex, error: e.message });
         }
-    });
 
+        if (secondsToTransfer > 0) {
+            callMasterApiToUpdateWorkload(sourceSheetName, -secondsToTransfer, REQUEST_NUMBER, WorkloadLedgerReason.TRANSFERRED);
+        }
+        if (secondsToBook > 0) {
+            callMasterApiToUpdateWorkload(primarySheetName, secondsToBook, REQUEST_NUMBER, WorkloadLedgerReason.TRANSFERRED);
+        }
+
+        // Log Workspace
+        logMDMWorkspace(
+            spreadsheet, 
+            REQUEST_NUMBER, 
+            modification,
+            COMPANY_CODE_NAME, 
+            DEPARTMENT, 
+            REQUEST_TYPE,
+            originalSheetName, 
+            allSheetNames
+        );
+
+        return REQUEST_NUMBER;
+    }, 2, 20000);
+}
+
+/**
+ * Deletes the source rows of transferred requests, bottom-up so indexes stay valid
+ */
+function deleteTransferredRows(sheet, processed, failed) {
     if (processed.length > 0) {
         const rowsToDelete = processed
             .map(p => ({ req: p.req, curIdx: getRowIndex(sheet, p.req) }))
@@ -680,19 +814,13 @@ function changeMDM() {
         rowsToDelete.forEach(({ curIdx, req }) => {
             try {
                 withRowLock(sheet.getName(), curIdx, 'changeMDM-delete', (_dLock) => {
-                    sheet.deleteRow(curIdx);
+                    withWriteLock(makeSheetLayoutKey(sheet.getName()), 'changeMDM-delete', () => sheet.deleteRow(curIdx), 2, 8000);
                 }, 2, 8000);
             } catch (e) {
                 failed.push({ rowIndex: curIdx, error: `Delete failed: ${e.message}` });
             }
         });
     }
-
-    const message = `Change MDM completed!\nMoved: ${processed.length}\nFailed: ${failed.length}`;
-    SpreadsheetApp.getActiveSpreadsheet().toast(message, 'Complete', 3);
-    if (failed.length > 0) {
-        ui.alert(`Completed with ${failed.length} errors.`);
-    }
 }
 
 function setDepartmentToSpecialProject() {
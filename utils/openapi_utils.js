@@ -0,0 +1,228 @@
+const OPENAPI_VERSION = '3.0.3';
+const API_DOCUMENT_VERSION = '2.0.0';
+
+/**
+ * Resolve a method + path against the endpoint registry.
+ * A path parameter is one segment; a "/" inside it (request numbers) is sent as %2F.
+ * @param {string} method - HTTP method
+ * @param {string} path - Requested path, e.g. /request/PROMO%2FMDM%2FBU01%2F00042/decision
+ * @returns {Object|null} { endpoint, pathParams, errors }, errors ({ field, code, message }) set when a parameter is not valid percent-encoding
+ */
+function findApiEndpoint(method, path) {
+    const candidates = getApiEndpoints().filter(endpoint => endpoint.method === method);
+
+    // Exact match first, so a template path derived from a body action does not bind "{requestNumber}"
+    const exact = candidates.find(endpoint => endpoint.path === path);
+    if (exact) return { endpoint: exact, pathParams: {} };
+
+    for (const endpoint of candidates) {
+        const names = [];
+        const pattern = endpoint.path
+            .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+            .replace(/\{(\w+)\}/g, (_, name) => {
+                names.push(name);
+                return '([^/]+)';
+            });
+        if (names.length === 0) continue;
+
+        const match = path.match(new RegExp(`^${pattern}$`));
+        if (!match) continue;
+
+        const errors = [];
+        const pathParams = names.reduce((params, name, i) => {
+            try {
+                params[name] = decodeURIComponent(match[i + 1]);
+            } catch (e) {
+                errors.push({ field: name, code: 'format', message: `${name} is not valid percent-encoding.` });
+            }
+            return params;
+        }, {});
+        return errors.length > 0 ? { endpoint, pathParams, errors } : { endpoint, pathParams };
+    }
+
+    return null;
+}
+
+/**
+ * Body `action` -> path map for POST callers that do not send ?path=
+ */
+function getApiActionPaths() {
+    return getApiEndpoints()
+        .filter(endpoint => endpoint.method === 'POST' && endpoint.action)
+        .reduce((paths, endpoint) => {
+            paths[endpoint.action] = endpoint.path;
+            return paths;
+        }, {});
+}
+
+/**
+ * Convert a request_schemas.js field definition to a JSON schema
+ */
+function payloadFieldToJsonSchema(def) {
+    switch (def.type) {
+        case 'integer':
+            return { type: 'integer', minimum: 0 };
+        case 'boolean':
+            return { type: 'boolean' };
+        case 'email':
+            return { type: 'string', format: 'email' };
+        case 'url':
+            return { type: 'string', format: 'uri' };
+        case 'date':
+            return { type: 'string', description: `One of: ${PAYLOAD_DATE_FORMATS.join(', ')}` };
+        case 'enum':
+            return { type: 'string', enum: def.enum };
+        case 'status':
+            return { oneOf: [{ type: 'boolean' }, { type: 'string' }] };
+        case 'any':
+            return {};
+        default:
+            return { type: 'string' };
+    }
+}
+
+/**
+ * One component per request type, combined into RequestPayload with requestType as discriminator
+ */
+function getPayloadComponentSchemas() {
+    const schemas = {};
+    const mapping = {};
+
+    Object.values(RequestTypes).forEach(requestType => {
+        const fields = getRequestPayloadSchema(requestType);
+        if (!fields) return;
+
+        const name = `RequestPayload_${requestType.replace(/[^A-Za-z0-9]+/g, '_')}`;
+        const properties = {};
+        const required = [];
+
+        Object.entries(fields).forEach(([field, def]) => {
+            properties[field] = payloadFieldToJsonSchema(def);
+            if (def.required) required.push(field);
+        });
+        properties.requestType = { type: 'string', enum: [requestType] };
+
+        schemas[name] = {
+            type: 'object',
+            required: required,
+            properties: properties
+        };
+        mapping[requestType] = `#/components/schemas/${name}`;
+    });
+
+    schemas.RequestPayload = {
+        oneOf: Object.values(mapping).map(ref => ({ $ref: ref })),
+        discriminator: { propertyName: 'requestType', mapping: mapping }
+    };
+
+    return schemas;
+}
+
+function buildOpenApiOperation(endpoint, version) {
+    const parameters = [];
+    const adapter = getApiVersionAdapter(version, endpoint) || {};
+    const versionInfo = API_VERSIONS[version];
+    const requestBody = adapter.requestBody || endpoint.requestBody;
+    const response = adapter.responseSchema || endpoint.response;
+
+    (endpoint.path.match(/\{(\w+)\}/g) || []).forEach(token => {
+        parameters.push({ name: token.slice(1, -1), in: 'path', required: true, schema: { type: 'string' } });
+    });
+
+    Object.entries(endpoint.query || {}).forEach(([name, param]) => {
+        parameters.push({
+            name: name,
+            in: 'query',
+            required: !!param.required,
+            ...(param.description && { description: param.description }),
+            schema: param.schema
+        });
+    });
+
+    const operation = {
+        operationId: `${version}${endpoint.method.charAt(0)}${endpoint.method.slice(1).toLowerCase()}${endpoint.path.replace(/[^A-Za-z0-9]+(\w?)/g, (_, c) => c.toUpperCase())}`,
+        summary: endpoint.summary,
+        ...(versionInfo.deprecated && { deprecated: true, 'x-sunset': versionInfo.sunset }),
+        ...(endpoint.description && { description: endpoint.description }),
+        ...(parameters.length > 0 && { parameters: parameters }),
+        ...(endpoint.scope && { 'x-required-scope': endpoint.scope }),
+        ...(!endpoint.public && { 'x-rate-limit': { ...RATE_LIMIT_DEFAULT, ...(endpoint.rateLimit || {}) } }),
+        security: endpoint.public
+            ? []
+            : [{ ClientId: [], ApiKey: [] }, { ClientId: [], Timestamp: [], Signature: [] }],
+    };
+
+    if (requestBody) {
+        operation.requestBody = {
+            required: true,
+            content: { 'application/json': { schema: requestBody } }
+        };
+    }
+
+    const successSchema = {
+        type: 'object',
+        properties: {
+            status: { type: 'string', enum: ['success'] },
+            data: response || { type: 'object' },
+            meta: { $ref: '#/components/schemas/ApiMeta' }
+        }
+    };
+
+    operation.responses = {
+        200: {
+            description: 'Success envelope, or an error envelope whose `code` carries the status',
+            content: {
+                'application/json': {
+                    schema: endpoint.public && !response
+                        ? { type: 'object' }
+                        : { oneOf: [successSchema, { $ref: '#/components/schemas/ErrorResponse' }] }
+                }
+            }
+        }
+    };
+
+    return operation;
+}
+
+/**
+ * Build the OpenAPI 3 document from the endpoint registry
+ * @returns {Object} OpenAPI document
+ */
+function buildOpenApiDocument() {
+    const paths = {};
+
+    Object.keys(API_VERSIONS).forEach(version => {
+        getApiEndpoints().forEach(endpoint => {
+            const path = `/${version}${endpoint.path}`;
+            paths[path] = paths[path] || {};
+            paths[path][endpoint.method.toLowerCase()] = buildOpenApiOperation(endpoint, version);
+        });
+    });
+
+    return {
+        openapi: OPENAPI_VERSION,
+        info: {
+            title: 'ProcessPilot API',
+            version: API_DOCUMENT_VERSION,
+            description: 'Paths can be appended to the web app URL (/exec/v2/request_status) or sent as ' +
+                `?path=/v2/request_status. Unprefixed paths and body \`action\` routing use ${API_DEFAULT_VERSION}. ` +
+                'Every response carries `meta` with the API version and its deprecation/sunset date. ' +
+                'Apps Script always answers HTTP 200; check `status` and `code` in the body. ' +
+                'Signed calls send hex HMAC-SHA256 of "METHOD\\nPATH\\nTIMESTAMP\\nPAYLOAD" with the client secret.'
+        },
+        servers: [{ url: WEB_APP_URL }],
+        paths: paths,
+        components: {
+            securitySchemes: {
+                ClientId: { type: 'apiKey', in: 'query', name: 'clientId' },
+                ApiKey: { type: 'apiKey', in: 'query', name: 'apiKey' },
+                Timestamp: { type: 'apiKey', in: 'query', name: 'timestamp' },
+                Signature: { type: 'apiKey', in: 'query', name: 'signature' },
+            },
+            schemas: {
+                ...getApiComponentSchemas(),
+                ...getPayloadComponentSchemas(),
+            }
+        }
+    };
+}
@@ -0,0 +1,171 @@
+/**
+ * Resolve the payload schema for a request type
+ * (base fields + activity sheet fields + request type overrides).
+ * @param {string} requestType - Value from RequestTypes
+ * @returns {Object|null} Field map, or null when the request type is unknown
+ */
+function getRequestPayloadSchema(requestType) {
+    const sheetName = getSheetName(requestType);
+    if (!sheetName) return null;
+
+    const fields = {};
+    const sources = [
+        BASE_PAYLOAD_SCHEMA,
+        SHEET_PAYLOAD_SCHEMAS[sheetName] || {},
+    ];
+    sources.forEach(source => {
+        Object.entries(source).forEach(([name, def]) => {
+            fields[name] = { ...def };
+        });
+    });
+
+    const overrides = REQUEST_TYPE_PAYLOAD_OVERRIDES[requestType] || {};
+    Object.entries(overrides).forEach(([name, def]) => {
+        fields[name] = { ...(fields[name] || { type: 'string' }), ...def };
+    });
+
+    return fields;
+}
+
+/**
+ * Schema document served to the portal
+ * @param {string} [requestType] - Limit the document to one request type
+ */
+function getRequestPayloadSchemaDocument(requestType = null) {
+    const requestTypes = requestType ? [requestType] : Object.values(RequestTypes);
+
+    return requestTypes.reduce((out, type) => {
+        const fields = getRequestPayloadSchema(type);
+        if (fields) {
+            out[type] = {
+                sheetName: getSheetName(type),
+                dateFormats: PAYLOAD_DATE_FORMATS,
+                fields: fields,
+            };
+        }
+        return out;
+    }, {});
+}
+
+function normalizePayloadAliases(payload) {
+    Object.entries(PAYLOAD_FIELD_ALIASES).forEach(([alias, field]) => {
+        if (payload[alias] !== undefined) {
+            if (payload[field] === undefined) {
+                payload[field] = payload[alias];
+            }
+            Logger.log(`[PayloadSchema] Deprecated field "${alias}" received; use "${field}".`);
+            delete payload[alias];
+        }
+    });
+    return payload;
+}
+
+function parsePayloadDate(value) {
+    const str = String(value).trim();
+    let match = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    let year, month, day;
+
+    if (match) {
+        [, month, day, year] = match.map(Number);
+    } else {
+        match = str.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (!match) return null;
+        [, year, month, day] = match.map(Number);
+    }
+
+    const date = new Date(year, month - 1, day);
+    const isValid = date.getFullYear() === year &&
+        date.getMonth() === month - 1 &&
+        date.getDate() === day;
+
+    return isValid ? date : null;
+}
+
+function validatePayloadField(name, def, value) {
+    const error = (code, message) => ({ field: name, code, message });
+
+    switch (def.type) {
+        case 'string':
+            if (!isString(value)) return error('type', `${name} must be a string.`);
+            break;
+        case 'integer':
+            if (!Number.isInteger(Number(value)) || Number(value) < 0) {
+                return error('type', `${name} must be a non-negative integer.`);
+            }
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') return error('type', `${name} must be a boolean.`);
+            break;
+        case 'status':
+            if (typeof value !== 'boolean' && !isString(value)) {
+                return error('type', `${name} must be a boolean or a status string.`);
+            }
+            break;
+        case 'email':
+            if (!isString(value) || validateEmails(value).invalid.length > 0) {
+                return error('format', `${name} must be a valid email address.`);
+            }
+            break;
+        case 'url':
+            if (!isUrl(value)) return error('format', `${name} must be a valid https URL.`);
+            break;
+        case 'date':
+            if (!parsePayloadDate(value)) {
+                return error('format', `${name} must be a date in one of: ${PAYLOAD_DATE_FORMATS.join(', ')}.`);
+            }
+            break;
+        case 'enum':
+            if (!def.enum.includes(value)) {
+                return error('enum', `${name} must be one of: ${def.enum.join(', ')}.`);
+            }
+            break;
+    }
+    return null;
+}
+
+/**
+ * Validate a payload against the schema of its request type
+ * @param {Object} payload - Request payload (aliases already normalized)
+ * @returns {Array<Object>} Field errors: { field, code, message }
+ */
+function validatePayloadSchema(payload) {
+    const fields = getRequestPayloadSchema(payload.requestType);
+    if (!fields) {
+        return [{
+            field: 'requestType',
+            code: payload.requestType ? 'enum' : 'required',
+            message: 'Request Type is Invalid.'
+        }];
+    }
+
+    const errors = [];
+
+    Object.entries(fields).forEach(([name, def]) => {
+        const value = payload[name];
+        if (!isNotEmpty(value)) {
+            if (def.required) {
+                errors.push({ field: name, code: 'required', message: `${name} is required.` });
+            }
+            return;
+        }
+
+        const fieldError = validatePayloadField(name, def, value);
+        if (fieldError) errors.push(fieldError);
+    });
+
+    // Older clients send every field on every request type; unknown fields are ignored, not rejected
+    const unknownFields = Object.keys(payload).filter(name => !fields[name] && name !== 'action');
+    if (unknownFields.length > 0) {
+        Logger.log(`[validatePayloadSchema] Ignoring fields not used by ${payload.requestType}: ${unknownFields.join(', ')}`);
+    }
+
+    if (fields.validFrom && fields.validTo && payload.validFrom && payload.validTo) {
+        const from = parsePayloadDate(payload.validFrom);
+        const to = parsePayloadDate(payload.validTo);
+        if (from && to && to < from) {
+            errors.push({ field: 'validTo', code: 'range', message: 'validTo must not be earlier than validFrom.' });
+        }
+    }
+
+    return errors;
+}
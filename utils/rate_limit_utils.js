@@ -0,0 +1,166 @@
+/**
+ * Per-client, per-endpoint rate limiting for the web app API.
+ *
+ * Each client/endpoint pair keeps a sliding log of call timestamps in the script cache.
+ * A call over the endpoint limit gets a 429 with retryAfter (seconds) in the body,
+ * since Apps Script web apps cannot set response headers.
+ *
+ * Every throttled call is a strike; RATE_LIMIT_STRIKES_TO_BLOCK strikes within a fixed
+ * RATE_LIMIT_STRIKE_WINDOW_SEC window (starting at the first strike) block the client for
+ * RATE_LIMIT_BLOCK_SEC and report it to EMAIL_MDM_GROUP.
+ *
+ * Call logs and strikes are updated under a short script lock. When it stays busy the call
+ * is refused with a 429 (fail closed), so bursts are not let through under contention.
+ */
+const RATE_LIMIT_DEFAULT = Object.freeze({ limit: 60, windowSec: 60 });
+const RATE_LIMIT_STRIKES_TO_BLOCK = 20;
+const RATE_LIMIT_STRIKE_WINDOW_SEC = 600;
+const RATE_LIMIT_BLOCK_SEC = 900;
+const RATE_LIMIT_BUSY_RETRY_SEC = 1;
+
+function makeRateLimitKey(type, clientId, endpointPath = '') {
+    const digest = Utilities.computeDigest(
+        Utilities.DigestAlgorithm.SHA_256,
+        `${clientId}:${endpointPath}`
+    );
+    return `RATE_${type}_${toHex(digest)}`;
+}
+
+/**
+ * Records a call and decides whether it is allowed
+ * @param {string} clientId - Authenticated client
+ * @param {Object} endpoint - Registry entry (configs/api_endpoints.js)
+ * @returns {Object} { allowed, retryAfter, blocked, error }
+ */
+function checkRateLimit(clientId, endpoint) {
+    const cache = CacheService.getScriptCache();
+    const { limit, windowSec } = { ...RATE_LIMIT_DEFAULT, ...(endpoint.rateLimit || {}) };
+    const blockKey = makeRateLimitKey('BLOCK', clientId);
+    const now = Date.now();
+
+    const blockedUntil = Number(cache.get(blockKey)) || 0;
+    if (blockedUntil > now) {
+        return {
+            allowed: false,
+            blocked: true,
+            retryAfter: Math.ceil((blockedUntil - now) / 1000),
+            error: 'Client is temporarily blocked after repeated rate limit violations.'
+        };
+    }
+
+    // Short script lock so concurrent calls do not overwrite each other's log or strikes
+    const guard = LockService.getScriptLock();
+    if (!guard.tryLock(GUARD_WAIT_MS * 5)) {
+        Logger.log(`[RateLimit] Guard busy for ${clientId} ${endpoint.path}; refusing call.`);
+        return {
+            allowed: false,
+            blocked: false,
+            retryAfter: RATE_LIMIT_BUSY_RETRY_SEC,
+            error: 'Rate limiter is busy, please retry shortly.'
+        };
+    }
+
+    let throttled = null;
+    let strike = null;
+    try {
+        const logKey = makeRateLimitKey('LOG', clientId, `${endpoint.method} ${endpoint.path}`);
+        const windowStart = now - windowSec * 1000;
+
+        let calls = [];
+        try {
+            calls = JSON.parse(cache.get(logKey) || '[]').filter(ts => ts > windowStart);
+        } catch (e) {
+            calls = [];
+        }
+
+        if (calls.length >= limit) {
+            throttled = Math.max(1, Math.ceil((calls[0] + windowSec * 1000 - now) / 1000));
+            strike = recordRateLimitStrike(cache, clientId, now);
+        } else {
+            calls.push(now);
+            cache.put(logKey, JSON.stringify(calls), windowSec);
+        }
+    } finally {
+        guard.releaseLock();
+    }
+
+    if (throttled === null) {
+        return { allowed: true, blocked: false, retryAfter: 0, error: null };
+    }
+
+    Logger.log(`[RateLimit] ${clientId} exceeded ${limit}/${windowSec}s on ${endpoint.method} ${endpoint.path} (strike ${strike.strikes})`);
+    if (strike.blockedUntil) {
+        sendRateLimitBlockEmail(clientId, endpoint, strike.strikes, strike.blockedUntil);
+        return {
+            allowed: false,
+            blocked: true,
+            retryAfter: RATE_LIMIT_BLOCK_SEC,
+            error: 'Client is temporarily blocked after repeated rate limit violations.'
+        };
+    }
+
+    return {
+        allowed: false,
+        blocked: false,
+        retryAfter: throttled,
+        error: `Rate limit exceeded: ${limit} calls per ${windowSec}s on ${endpoint.method} ${endpoint.path}.`
+    };
+}
+
+/**
+ * Counts a throttled call and blocks the client once it reaches the strike limit.
+ * Strikes are stored with the start of their window, so the window stays fixed instead of
+ * being extended by every strike. Must run under the rate limit guard.
+ * @param {Cache} cache - Script cache
+ * @param {string} clientId - Authenticated client
+ * @param {number} now - Time of the call in ms
+ * @returns {Object} { strikes, blockedUntil } where blockedUntil is set only when the client has just been blocked
+ */
+function recordRateLimitStrike(cache, clientId, now) {
+    const strikeKey = makeRateLimitKey('STRIKES', clientId);
+    const windowMs = RATE_LIMIT_STRIKE_WINDOW_SEC * 1000;
+
+    let entry = null;
+    try {
+        entry = JSON.parse(cache.get(strikeKey) || 'null');
+    } catch (e) {
+        entry = null;
+    }
+    if (!entry || !entry.windowStart || now - entry.windowStart >= windowMs) {
+        entry = { count: 0, windowStart: now };
+    }
+    entry.count += 1;
+
+    if (entry.count < RATE_LIMIT_STRIKES_TO_BLOCK) {
+        const ttlSec = Math.max(1, Math.ceil((entry.windowStart + windowMs - now) / 1000));
+        cache.put(strikeKey, JSON.stringify(entry), ttlSec);
+        return { strikes: entry.count, blockedUntil: null };
+    }
+
+    const blockedUntil = now + RATE_LIMIT_BLOCK_SEC * 1000;
+    cache.put(makeRateLimitKey('BLOCK', clientId), String(blockedUntil), RATE_LIMIT_BLOCK_SEC);
+    cache.remove(strikeKey);
+
+    Logger.log(`[RateLimit] Blocking ${clientId} for ${RATE_LIMIT_BLOCK_SEC}s after ${entry.count} throttled calls.`);
+    return { strikes: entry.count, blockedUntil: blockedUntil };
+}
+
+function sendRateLimitBlockEmail(clientId, endpoint, strikes, blockedUntil) {
+    try {
+        const body = [
+            `API client <strong>${clientId}</strong> has been blocked after ${strikes} throttled calls ` +
+            `within ${RATE_LIMIT_STRIKE_WINDOW_SEC / 60} minutes.`,
+            `Last endpoint: ${endpoint.method} ${endpoint.path}`,
+            `Blocked until: ${new Date(blockedUntil).toISOString()}`,
+            `Please check the caller (e.g. a child script looping on a request).`
+        ].map(line => createStyledParagraph(line)).join('');
+
+        MailApp.sendEmail({
+            to: EMAIL_MDM_GROUP,
+            subject: `[API] Client ${clientId} blocked for rate limit abuse`,
+            htmlBody: `<div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">${body}</div>`
+        });
+    } catch (e) {
+        Logger.log(`[RateLimit] Failed to report block of ${clientId}: ${e.message}`);
+    }
+}
@@ -0,0 +1,184 @@
+/**
+ * Reassignment of the open rows of an unavailable agent.
+ *
+ * An agent is unavailable when today falls in one of their ranges in the "Leave" sheet
+ * (reassignAgentsOnLeave, time-driven) or when picked from the menu. Rows are re-allocated
+ * with RequestAllocator excluding that agent and moved through transferWorkspaceRow, the
+ * same copy / workload transfer / MASTER LOG path as changeMDM. A summary goes to EMAIL_MDM_LEAD.
+ *
+ * Only rows the agent has not worked on are moved:
+ *   - not started (no Process Status)
+ *   - On Going, but the attachment was not edited since Taken Date
+ */
+const REASSIGN_MODIFICATION = 'Auto Reassign';
+const REASSIGN_TOUCH_GRACE_MS = 5 * 60 * 1000; // Sharing the attachment on take also bumps its timestamp
+
+function isRowUntouched(attachment, takenDate) {
+    const attachmentId = attachment ? extractSheetId(String(attachment)) : null;
+    if (!attachmentId || !takenDate) return false;
+
+    try {
+        const lastUpdated = DriveApp.getFileById(attachmentId).getLastUpdated().getTime();
+        return lastUpdated <= parseMDYHMS(String(takenDate)).getTime() + REASSIGN_TOUCH_GRACE_MS;
+    } catch (e) {
+        Logger.log(`[Reassign] Could not check attachment ${attachmentId}: ${e.message}`);
+        return false;
+    }
+}
+
+/**
+ * Rows of an agent sheet that can be moved without losing work
+ * @param {Sheet} sheet - Agent sheet
+ * @returns {Array<Object>} { rowIndex, requestNumber }
+ */
+function getReassignableRows(sheet) {
+    if (!sheet || sheet.getLastRow() <= ACTIVITY_HEADER_ROW_INDEX) return [];
+
+    const [requestNumbers, processStatuses, processedDates, takenDates, attachments] = getValuesByColumns(
+        sheet,
+        [ColNames.REQUEST_NUMBER, ColNames.PROCESS_STATUS, ColNames.PROCESSED_DATE, ColNames.TAKEN_DATE, ColNames.ATTACHMENT],
+        ACTIVITY_HEADER_ROW_INDEX
+    );
+
+    return requestNumbers.reduce((rows, requestNumber, i) => {
+        if (i === 0 || !requestNumber || processedDates[i]) return rows; // header / processed
+
+        const notStarted = !processStatuses[i];
+        const untouched = processStatuses[i] === MDMStatus.ON_GOING && isRowUntouched(attachments[i], takenDates[i]);
+
+        if (notStarted || untouched) {
+            rows.push({ rowIndex: ACTIVITY_HEADER_ROW_INDEX + i, requestNumber });
+        }
+        return rows;
+    }, []);
+}
+
+/**
+ * Moves the reassignable rows of an agent to the best other agent
+ * @param {string} agentName - Agent sheet name
+ * @param {string} reason - Why the agent is unavailable, shown in the summary
+ * @returns {Object} { moved, skipped, failed }
+ */
+function reassignAgentRows(agentName, reason) {
+    const operation = 'reassignAgentRows';
+    const agent = String(agentName || '').trim().toUpperCase();
+    const spreadsheet = SpreadsheetApp.openById(MDM_WORKSPACE_ID);
+    const sheet = spreadsheet.getSheetByName(agent);
+
+    if (!sheet) {
+        throw new Error(`Agent sheet "${agent}" not found.`);
+    }
+
+    return withKeyLock(`reassign:${agent}`, operation, (_lock, beat) => {
+        const moved = [];
+        const skipped = [];
+        const failed = [];
+
+        getReassignableRows(sheet).forEach(({ rowIndex, requestNumber }) => {
+            try {
+                const RequestCtor = getRequestClass(sheet.getName());
+                const request = new RequestCtor(sheet, rowIndex);
+                const m = request.activity.getActivityValueMap();
+
+                const baseline = {
+                    requestTypeKey: m.PROMO_TYPE || m.REQUEST_TYPE,
+                    totalTask: m.PROMO_TYPE ? m.TOTAL_PROMO : m.TOTAL_TASK,
+                    estimatedTime: Number(m.ESTIMATED_TIME) || 0
+                };
+                const allocator = new RequestAllocator(request);
+                const target = allocator.allocate(baseline, [agent]);
+
+                if (!target) {
+                    recordAllocationDecision(allocator.decision, 'reassign');
+                    skipped.push({ requestNumber, error: 'No other agent available' });
+                    return;
+                }
+
+                // The new agent starts fresh (untouched On Going state is dropped) with its own estimate
+                transferWorkspaceRow(spreadsheet, sheet, rowIndex, [String(target).toUpperCase()], REASSIGN_MODIFICATION, {
+                    estimatedTime: allocator.estimatedTime,
+                    resetProgress: m.PROCESS_STATUS === MDMStatus.ON_GOING
+                });
+                recordAllocationDecision(allocator.decision, 'reassign');
+                moved.push({ req: requestNumber, to: target });
+                beat();
+            } catch (e) {
+                Logger.log(`[${operation}] ${requestNumber} failed: ${e.message}`);
+                failed.push({ requestNumber, error: e.message });
+            }
+        });
+
+        deleteTransferredRows(sheet, moved, failed);
+
+        Logger.log(`[${operation}] ${agent}: moved ${moved.length}, skipped ${skipped.length}, failed ${failed.length}`);
+        if (moved.length + skipped.length + failed.length > 0) {
+            sendReassignmentSummary(agent, reason, moved, skipped, failed);
+        }
+
+        return { moved, skipped, failed };
+    }, 2, 10000);
+}
+
+/**
+ * Time-driven: reassigns the rows of every agent on planned leave today
+ */
+function reassignAgentsOnLeave() {
+    const today = new Date();
+
+    Object.values(MDMSheetNames)
+        .filter(agent => isOnLeave(today, getMdmCalendar(agent)))
+        .forEach(agent => {
+            try {
+                reassignAgentRows(agent, 'Planned leave');
+            } catch (e) {
+                Logger.log(`[reassignAgentsOnLeave] ${agent}: ${e.message}`);
+            }
+        });
+}
+
+function reassignAgentRowsFromMenu() {
+    const ui = SpreadsheetApp.getUi();
+    const activeSheetName = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet().getName();
+    const suggestion = Object.values(MDMSheetNames).includes(activeSheetName) ? ` (current: ${activeSheetName})` : '';
+
+    const response = ui.prompt(
+        'Reassign Unavailable Agent',
+        `Enter the agent sheet to empty${suggestion}.\nNot started and untouched On Going rows are moved to other agents.`,
+        ui.ButtonSet.OK_CANCEL
+    );
+    if (response.getSelectedButton() !== ui.Button.OK) return;
+
+    const agent = (response.getResponseText().trim() || activeSheetName).toUpperCase();
+    if (!Object.values(MDMSheetNames).includes(agent)) {
+        ui.alert(`Error: "${agent}" is not an agent sheet.`);
+        return;
+    }
+
+    SpreadsheetApp.getActiveSpreadsheet().toast(`Reassigning open rows of ${agent}...`, 'Reassign', 5);
+    const { moved, skipped, failed } = reassignAgentRows(agent, `Marked unavailable by ${Session.getActiveUser().getEmail()}`);
+
+    ui.alert(`Reassign completed!\nMoved: ${moved.length}\nNo agent available: ${skipped.length}\nFailed: ${failed.length}`);
+}
+
+function sendReassignmentSummary(agent, reason, moved, skipped, failed) {
+    try {
+        const lines = [
+            `Open requests of <strong>${agent}</strong> were reassigned (${reason}).`,
+            `Moved: ${moved.length}, no agent available: ${skipped.length}, failed: ${failed.length}`,
+            ...moved.map(({ req, to }) => `${req} → ${to}`),
+            ...skipped.map(({ requestNumber, error }) => `${requestNumber}: ${error}`),
+            ...failed.map(({ requestNumber, rowIndex, error }) => `${requestNumber || `Row ${rowIndex}`}: ${error}`),
+            'Requests that were already being worked on stay with the agent.'
+        ];
+
+        MailApp.sendEmail({
+            to: EMAIL_MDM_LEAD,
+            cc: EMAIL_MDM_GROUP,
+            subject: `[Workload] Requests of ${agent} reassigned`,
+            htmlBody: `<div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">` +
+                `${lines.map(line => createStyledParagraph(line)).join('')}</div>`
+        });
+    } catch (e) {
+        Logger.log(`[Reassign] Failed to send summary for ${agent}: ${e.message}`);
+    }
+}
@@ -346,6 +346,81 @@ function generateRequestNumber(sheetName, companyName) {
     }, priority, maxWaitMs);
 }
 
+function getSheetNameFromRequestNumber(requestNumber) {
+    // Standard format: ABBR/MDM/COMPANY/00001
+    const abbr = String(requestNumber || '').split('/')[0].trim().toUpperCase();
+    if (!abbr) return null;
+
+    const sheetName = Object.keys(SHEET_ABBR_MAP)
+        .find(name => String(SHEET_ABBR_MAP[name]).toUpperCase() === abbr);
+
+    return sheetName || null;
+}
+
+function getSendBackHistory(requestNumber) {
+    const logSheet = getMasterSpreadsheet('MASTER LOG');
+    if (!logSheet || logSheet.getLastRow() < 2) return [];
+
+    const values = logSheet.getRange(2, 1, logSheet.getLastRow() - 1, 5).getDisplayValues();
+
+    return values
+        .filter(([reqNum, , activity]) => reqNum === requestNumber && activity === ActivityLog.SEND_BACK)
+        .map(([, timestamp, activity, actor, reason]) => ({ timestamp, activity, actor, reason }));
+}
+
+function getRequestStatus(requestNumber) {
+    const sheetName = getSheetNameFromRequestNumber(requestNumber);
+    if (!sheetName) {
+        throw new Error(`Unknown request number prefix: "${requestNumber}".`);
+    }
+
+    const sheet = getMasterSpreadsheet(sheetName);
+    const rowIndex = getRowIndex(sheet, requestNumber);
+    if (rowIndex === -1) return null;
+
+    const activity = new Activity(sheet, rowIndex);
+    const valueMap = activity.getActivityValueMap();
+
+    const [requesterCtx, ...approverCtxs] = ATTACHMENT_SYNC_CONTEXTS;
+    const getLevel = ({ prop, levelOrder }) => ({
+        level: prop,
+        levelOrder,
+        status: valueMap[`RESPON_${prop}`] || null,
+        name: valueMap[`NAME_${prop}`] || null,
+        timestamp: valueMap[`TIMESTAMP_${prop}`] || null,
+    });
+
+    const splitSentBack = (value) => String(value || '')
+        .split(SYSTEM_SENT_BACK_SEPARATOR)
+        .map(v => v.trim())
+        .filter(Boolean);
+
+    return {
+        requestNumber,
+        sheetName,
+        requestType: valueMap.REQUEST_TYPE || null,
+        companyCodeName: valueMap.COMPANY_CODE_NAME || null,
+        department: valueMap.DEPARTMENT || null,
+        timestamp: valueMap.TIMESTAMP || null,
+        requester: getLevel(requesterCtx),
+        approvers: approverCtxs
+            .filter(ctx => `RESPON_${ctx.prop}` in valueMap)
+            .map(getLevel),
+        processedBy: valueMap.PROCESSED_BY || null,
+        processStatus: valueMap.PROCESS_STATUS || null,
+        takenDate: valueMap.TAKEN_DATE || null,
+        processedDate: valueMap.PROCESSED_DATE || null,
+        estimatedTimeFinished: valueMap.ESTIMATED_TIME_FINISHED || null,
+        sendBack: {
+            count: Number(valueMap.SYSTEM_SENT_BACK_COUNT) || 0,
+            times: splitSentBack(valueMap.SYSTEM_SENT_BACK_TIME),
+            actors: splitSentBack(valueMap.SYSTEM_SENT_BACK_ACTOR),
+            history: getSendBackHistory(requestNumber),
+        },
+        attachmentUrl: valueMap.ATTACHMENT || null,
+    };
+}
+
 function hasActiveRequest(sheet) {
     const [processedDateValues, mdmApprovalDateValues] = getValuesByColumns(
         sheet, [
@@ -494,7 +569,8 @@ function getMdmWorkloadEstimates() {
             if (!mdmName) continue;
 
             const estimatesForMdm = {};
-            for (let j = 1; j < totalEstColumnIndex; j++) {
+            // Request type columns follow the Total EST column
+            for (let j = totalEstColumnIndex + 1; j < headers.length; j++) {
                 const requestTypeHeader = String(headers[j] || '').trim();
                 if (!requestTypeHeader) continue;
 
@@ -538,18 +614,113 @@ function getMdmWorkloadEstimates() {
     }
 }
 
-function getNextMdmViaRoundRobin(allocationRuleKey, mdmList) {
+/**
+ * Per-task estimate (seconds) of an agent for a request type, from getMdmWorkloadEstimates
+ * @param {Object} estimates - Result of getMdmWorkloadEstimates
+ * @param {string} mdmName - Agent name
+ * @param {string} requestType - Request type (or promo type) header in "MDM EST"
+ * @returns {number} Seconds per task, 0 when the agent has no estimate for the type
+ */
+function getMdmTaskEstimate(estimates, mdmName, requestType) {
+    const agentEstimates = (estimates || {})[String(mdmName || '').trim().toUpperCase()];
+    if (!agentEstimates || !requestType) return 0;
+    return agentEstimates[String(requestType).trim()] || 0;
+}
+
+const ROUND_ROBIN_STATE_PREFIX = 'RR_STATE_';
+
+/**
+ * Picks one agent of a tie and updates the rotation state in place.
+ *   SEQUENTIAL   : next agent after the last one, in name order
+ *   WEIGHTED     : smooth weighted round-robin, each agent's share is proportional to its weight
+ *   LEAST_RECENT : agent whose last tie-break win under this key is the oldest
+ * @param {Object} state - { last, credits, assignedAt } of one rule key
+ * @param {Array<string>} mdmList - Tied agents
+ * @param {Object} [rule={}] - { mode, weights } from getRoundRobinRule
+ * @param {number} [now=Date.now()] - Assignment time in ms
+ * @returns {string|null} Chosen agent
+ */
+function pickRoundRobin(state, mdmList, rule = {}, now = Date.now()) {
     if (!mdmList || mdmList.length === 0) return null;
 
-    const cache = CacheService.getScriptCache();
-    const counterCacheKey = `scaledRoundRobinCounter_${allocationRuleKey}`;
+    const { mode = RoundRobinMode.SEQUENTIAL, weights = {} } = rule;
+    const ring = [...new Set(mdmList.map(name => String(name).trim().toUpperCase()))].sort();
+    state.credits = state.credits || {};
+    state.assignedAt = state.assignedAt || {};
 
-    let lastIndex = parseInt(cache.get(counterCacheKey) || '-1', 10);
-    if (isNaN(lastIndex)) lastIndex = -1;
+    let assignedMdm;
+    switch (mode) {
+        case RoundRobinMode.WEIGHTED: {
+            const weightOf = name => (weights[name] === undefined ? 1 : Math.max(Number(weights[name]) || 0, 0));
+            const weighted = ring.some(name => weightOf(name) > 0) ? ring.filter(name => weightOf(name) > 0) : ring;
+            const total = weighted.reduce((sum, name) => sum + (weightOf(name) || 1), 0);
 
-    const nextIndex = (lastIndex + 1) % mdmList.length;
-    cache.put(counterCacheKey, String(nextIndex), 21600); 
+            weighted.forEach(name => {
+                state.credits[name] = (state.credits[name] || 0) + (weightOf(name) || 1);
+            });
+            assignedMdm = weighted.reduce((best, name) => (state.credits[name] > state.credits[best] ? name : best));
+            state.credits[assignedMdm] -= total;
+            break;
+        }
+        case RoundRobinMode.LEAST_RECENT:
+            assignedMdm = ring.reduce((best, name) =>
+                ((state.assignedAt[name] || 0) < (state.assignedAt[best] || 0) ? name : best));
+            break;
+        case RoundRobinMode.SEQUENTIAL:
+        default:
+            assignedMdm = ring.find(name => state.last && name > state.last) || ring[0];
+            break;
+    }
 
-    const assignedMdm = mdmList[nextIndex];
+    state.last = assignedMdm;
+    state.assignedAt[assignedMdm] = now;
     return assignedMdm;
+}
+
+/**
+ * Tie-break between agents with a rotation stored in Script Properties per rule key
+ * (e.g. MATRIX_RR|<requestType>), so it survives cache evictions and restarts.
+ * @param {string} allocationRuleKey - Rotation key
+ * @param {Array<string>} mdmList - Tied agents
+ * @param {Object} [rule={}] - { mode, weights } from getRoundRobinRule
+ * @returns {string|null} Chosen agent
+ */
+function getNextMdmViaRoundRobin(allocationRuleKey, mdmList, rule = {}) {
+    if (!mdmList || mdmList.length === 0) return null;
+
+    try {
+        return withKeyLock(`rr:${allocationRuleKey}`, 'getNextMdmViaRoundRobin', () => {
+            const props = PropertiesService.getScriptProperties();
+            const stateKey = ROUND_ROBIN_STATE_PREFIX + allocationRuleKey;
+
+            let state;
+            try {
+                state = JSON.parse(props.getProperty(stateKey) || '{}');
+            } catch (e) {
+                Logger.log(`[RoundRobin] Malformed state for "${allocationRuleKey}", starting over.`);
+                state = {};
+            }
+
+            const assignedMdm = pickRoundRobin(state, mdmList, rule);
+            props.setProperty(stateKey, JSON.stringify(state));
+            return assignedMdm;
+        }, 1, 10000);
+    } catch (e) {
+        Logger.log(`[RoundRobin] ${e.message}. Falling back to "${mdmList[0]}".`);
+        return mdmList[0];
+    }
+}
+
+/**
+ * Drops the stored rotation of one rule key, or of every key
+ * @param {string} [allocationRuleKey=null] - Rotation key, null for all
+ */
+function clearRoundRobinState(allocationRuleKey = null) {
+    const props = PropertiesService.getScriptProperties();
+    Object.keys(props.getProperties())
+        .filter(key => allocationRuleKey
+            ? key === ROUND_ROBIN_STATE_PREFIX + allocationRuleKey
+            : key.startsWith(ROUND_ROBIN_STATE_PREFIX))
+        .forEach(key => props.deleteProperty(key));
+    Logger.log(`[RoundRobin] State cleared for ${allocationRuleKey || 'all keys'}.`);
 }
\ No newline at end of file
@@ -0,0 +1,280 @@
+/**
+ * Outbound webhooks for request lifecycle events.
+ *
+ * Subscribers live in the "Webhooks" sheet of the Master Configuration (see
+ * MasterConfig.getWebhookSubscribers). Every delivery is signed with the
+ * subscriber secret:
+ *   X-Webhook-Signature = hex HMAC-SHA256(secret, `${X-Webhook-Timestamp}.${body}`)
+ *
+ * Events are never sent inline: every delivery is appended to the "WEBHOOK QUEUE" sheet in
+ * Master and sent by drainWebhookQueue (time trigger: onIntervalWebhookRetry), so a slow
+ * subscriber cannot hold up approvals or edits. Failed deliveries are retried there with
+ * exponential backoff. FAILED and DROPPED rows are kept WEBHOOK_RETENTION_DAYS for
+ * inspection, then purged by the drain.
+ */
+const WEBHOOK_QUEUE_SHEET = 'WEBHOOK QUEUE';
+const WEBHOOK_MAX_ATTEMPTS = 8;
+const WEBHOOK_BACKOFF_BASE_MS = 60 * 1000;
+const WEBHOOK_BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+const WEBHOOK_RETENTION_DAYS = 30;
+
+const WebhookQueueStatus = Object.freeze({
+    PENDING: 'PENDING',
+    DELIVERED: 'DELIVERED',
+    FAILED: 'FAILED',
+    DROPPED: 'DROPPED'
+})
+
+// Column order of the WEBHOOK QUEUE sheet
+const WEBHOOK_QUEUE_COLS = Object.freeze({
+    ID: 0,
+    EVENT: 1,
+    SUBSCRIBER: 2,
+    PAYLOAD: 3,
+    ATTEMPTS: 4,
+    NEXT_ATTEMPT: 5,
+    LAST_ERROR: 6,
+    STATUS: 7,
+    CREATED: 8
+})
+
+function buildWebhookEnvelope(event, data) {
+    return {
+        id: Utilities.getUuid(),
+        event: event,
+        occurredAt: new Date().toISOString(),
+        data: data
+    };
+}
+
+function getWebhookBackoffMs(attempts) {
+    const delay = WEBHOOK_BACKOFF_BASE_MS * Math.pow(2, Math.max(attempts - 1, 0));
+    return Math.min(delay, WEBHOOK_BACKOFF_MAX_MS);
+}
+
+/**
+ * Deliver one envelope to one subscriber
+ * @returns {Object} { ok, code, error }
+ */
+function sendWebhook(subscriber, envelope) {
+    const body = JSON.stringify(envelope);
+    const timestamp = String(Date.now());
+    const headers = {
+        'X-Webhook-Id': envelope.id,
+        'X-Webhook-Event': envelope.event,
+        'X-Webhook-Timestamp': timestamp,
+    };
+
+    if (subscriber.secret) {
+        headers['X-Webhook-Signature'] = toHex(Utilities.computeHmacSha256Signature(
+            `${timestamp}.${body}`, subscriber.secret, Utilities.Charset.UTF_8
+        ));
+    }
+
+    try {
+        const response = UrlFetchApp.fetch(subscriber.url, {
+            method: 'post',
+            contentType: 'application/json',
+            payload: body,
+            headers: headers,
+            muteHttpExceptions: true,
+            followRedirects: false
+        });
+
+        const code = response.getResponseCode();
+        if (code >= 200 && code < 300) {
+            return { ok: true, code, error: null };
+        }
+        return { ok: false, code, error: `HTTP ${code}: ${response.getContentText().slice(0, 200)}` };
+    } catch (e) {
+        return { ok: false, code: null, error: e.message };
+    }
+}
+
+/**
+ * Queue an event for every active subscriber. Never throws: a webhook problem
+ * must not break the request workflow.
+ * @param {string} event - Value from WebhookEvents
+ * @param {Object} data - Event data
+ */
+function dispatchWebhookEvent(event, data) {
+    try {
+        const subscribers = getSharedMasterConfig().getWebhookSubscribers(event);
+        if (subscribers.length === 0) return;
+
+        const envelope = buildWebhookEnvelope(event, data);
+
+        subscribers.forEach(subscriber => {
+            enqueueWebhookDelivery(subscriber.name, envelope);
+            Logger.log(`[Webhook] ${event} queued for ${subscriber.name}`);
+        });
+    } catch (e) {
+        Logger.log(`[Webhook] Failed to dispatch ${event}: ${e.message}`);
+    }
+}
+
+/**
+ * Fire a lifecycle event for a request row
+ * @param {Request} request - Request object
+ * @param {string} event - Value from WebhookEvents
+ * @param {Object} [extra={}] - Event specific data
+ */
+function dispatchRequestWebhook(request, event, extra = {}) {
+    try {
+        const {
+            REQUEST_NUMBER, REQUEST_TYPE, COMPANY_CODE_NAME, DEPARTMENT,
+            PROCESSED_BY, PROCESS_STATUS, ATTACHMENT
+        } = request.activity.getActivityValueMap();
+
+        dispatchWebhookEvent(event, {
+            requestNumber: REQUEST_NUMBER,
+            requestType: REQUEST_TYPE,
+            companyCodeName: COMPANY_CODE_NAME,
+            department: DEPARTMENT || null,
+            processedBy: PROCESSED_BY || null,
+            processStatus: PROCESS_STATUS || null,
+            attachmentUrl: ATTACHMENT || null,
+            ...extra
+        });
+    } catch (e) {
+        Logger.log(`[Webhook] Failed to build ${event} for row ${request.rowIndex}: ${e.message}`);
+    }
+}
+
+/**
+ * Append a delivery to the WEBHOOK QUEUE sheet, due on the next drain
+ */
+function enqueueWebhookDelivery(subscriberName, envelope) {
+    try {
+        const queueSheet = getMasterSpreadsheet(WEBHOOK_QUEUE_SHEET);
+        if (!queueSheet) {
+            Logger.log(`[Webhook] ${WEBHOOK_QUEUE_SHEET} sheet not found; dropping ${envelope.id}.`);
+            return;
+        }
+
+        queueSheet.appendRow([
+            envelope.id,
+            envelope.event,
+            subscriberName,
+            JSON.stringify(envelope),
+            0,
+            new Date(),
+            '',
+            WebhookQueueStatus.PENDING,
+            getDateNow()
+        ]);
+    } catch (e) {
+        Logger.log(`[Webhook] Failed to queue ${envelope.id}: ${e.message}`);
+    }
+}
+
+/**
+ * Send due deliveries from the WEBHOOK QUEUE sheet.
+ * Each row's status is written as soon as it is sent, so a drain cut short never sends it again:
+ * delivered rows are marked DELIVERED and removed at the end of the drain (or by the next one),
+ * rows exceeding WEBHOOK_MAX_ATTEMPTS are marked FAILED. FAILED and DROPPED rows created more
+ * than WEBHOOK_RETENTION_DAYS ago are purged.
+ */
+function drainWebhookQueue() {
+    const operation = 'drainWebhookQueue';
+    const queueSheet = getMasterSpreadsheet(WEBHOOK_QUEUE_SHEET);
+    if (!queueSheet || queueSheet.getLastRow() < 2) return;
+
+    withKeyLock('webhook:queue', operation, (_lock, beat) => {
+        const lastRow = queueSheet.getLastRow();
+        const lastCol = Object.keys(WEBHOOK_QUEUE_COLS).length;
+        const rows = queueSheet.getRange(2, 1, lastRow - 1, lastCol).getValues();
+
+        const subscribers = getSharedMasterConfig().getWebhookSubscribers();
+        const now = Date.now();
+        const retentionStart = now - WEBHOOK_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        const terminalStatus = [WebhookQueueStatus.FAILED, WebhookQueueStatus.DROPPED];
+        const removableRows = [];
+        let delivered = 0;
+        let purged = 0;
+
+        rows.forEach((row, i) => {
+            const rowIndex = i + 2;
+            const status = row[WEBHOOK_QUEUE_COLS.STATUS];
+
+            // Left over by a drain that stopped before its cleanup
+            if (status === WebhookQueueStatus.DELIVERED) {
+                removableRows.push(rowIndex);
+                return;
+            }
+            if (terminalStatus.includes(status)) {
+                if (getWebhookQueueCreatedAt(row) < retentionStart) {
+                    removableRows.push(rowIndex);
+                    purged++;
+                }
+                return;
+            }
+            if (status !== WebhookQueueStatus.PENDING) return;
+
+            const nextAttempt = new Date(row[WEBHOOK_QUEUE_COLS.NEXT_ATTEMPT]).getTime();
+            if (nextAttempt && nextAttempt > now) return;
+
+            const subscriber = subscribers.find(s => s.name === row[WEBHOOK_QUEUE_COLS.SUBSCRIBER] && s.active);
+            if (!subscriber) {
+                row[WEBHOOK_QUEUE_COLS.STATUS] = WebhookQueueStatus.DROPPED;
+                row[WEBHOOK_QUEUE_COLS.LAST_ERROR] = 'Subscriber not found or inactive';
+                queueSheet.getRange(rowIndex, 1, 1, lastCol).setValues([row]);
+                return;
+            }
+
+            let envelope;
+            try {
+                envelope = JSON.parse(row[WEBHOOK_QUEUE_COLS.PAYLOAD]);
+            } catch (e) {
+                row[WEBHOOK_QUEUE_COLS.STATUS] = WebhookQueueStatus.DROPPED;
+                row[WEBHOOK_QUEUE_COLS.LAST_ERROR] = `Malformed payload: ${e.message}`;
+                queueSheet.getRange(rowIndex, 1, 1, lastCol).setValues([row]);
+                return;
+            }
+
+            const result = sendWebhook(subscriber, envelope);
+            beat();
+
+            if (result.ok) {
+                row[WEBHOOK_QUEUE_COLS.STATUS] = WebhookQueueStatus.DELIVERED;
+                row[WEBHOOK_QUEUE_COLS.LAST_ERROR] = '';
+                queueSheet.getRange(rowIndex, 1, 1, lastCol).setValues([row]);
+                Logger.log(`[${operation}] ${envelope.id} delivered to ${subscriber.name}`);
+                removableRows.push(rowIndex);
+                delivered++;
+                return;
+            }
+
+            const attempts = Number(row[WEBHOOK_QUEUE_COLS.ATTEMPTS] || 0) + 1;
+            row[WEBHOOK_QUEUE_COLS.ATTEMPTS] = attempts;
+            row[WEBHOOK_QUEUE_COLS.LAST_ERROR] = result.error;
+
+            if (attempts >= WEBHOOK_MAX_ATTEMPTS) {
+                row[WEBHOOK_QUEUE_COLS.STATUS] = WebhookQueueStatus.FAILED;
+                Logger.log(`[${operation}] ${envelope.id} to ${subscriber.name} failed permanently after ${attempts} attempts.`);
+            } else {
+                row[WEBHOOK_QUEUE_COLS.NEXT_ATTEMPT] = new Date(Date.now() + getWebhookBackoffMs(attempts));
+            }
+
+            queueSheet.getRange(rowIndex, 1, 1, lastCol).setValues([row]);
+        });
+
+        // Delete from bottom to avoid index shifting
+        removableRows.sort((a, b) => b - a).forEach(rowIndex => queueSheet.deleteRow(rowIndex));
+
+        Logger.log(`[${operation}] Delivered ${delivered} queued webhooks, purged ${purged} failed/dropped rows.`);
+    }, 3, 10000);
+}
+
+/**
+ * CREATED time of a WEBHOOK QUEUE row in ms; rows with an unreadable date count as new
+ */
+function getWebhookQueueCreatedAt(row) {
+    const created = row[WEBHOOK_QUEUE_COLS.CREATED];
+    try {
+        const date = created instanceof Date ? created : parseMDYHMS(String(created));
+        return isNaN(date.getTime()) ? Date.now() : date.getTime();
+    } catch (e) {
+        return Date.now();
+    }
+}
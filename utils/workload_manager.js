@@ -6,21 +6,71 @@ function getMdmWorkloadFromProperty(mdmName) {
   return Number(val) || 0; 
 }
 
-function updateMdmWorkloadProperty(mdmName, secondsToAdd) {
+/**
+ * Workload changes are recorded in the append-only WORKLOAD LEDGER sheet (Master).
+ * WORKLOAD_TIME_<NAME> script properties only cache the running total for fast reads
+ * by the allocator; rebuildWorkloadFromLedger recomputes them from the ledger.
+ *
+ * Ledger writes and total updates are serialized by the WORKLOAD_LEDGER_LOCK_KEY key lock,
+ * not the script lock: the script lock guards every key-lock acquire and heartbeat, so
+ * holding it across spreadsheet calls would make healthy key locks look stale.
+ */
+const WORKLOAD_LEDGER_SHEET = 'WORKLOAD LEDGER';
+const WORKLOAD_LEDGER_LOCK_KEY = 'workload:ledger';
+const WORKLOAD_RECONCILIATION_SHEET = 'WORKLOAD RECONCILIATION';
+const WORKLOAD_RECONCILIATION_TOLERANCE_SEC = 60;
+
+// Column order of the WORKLOAD LEDGER sheet
+const WORKLOAD_LEDGER_COLS = Object.freeze({
+    TIMESTAMP: 0,
+    REQUEST_NUMBER: 1,
+    AGENT: 2,
+    DELTA_SECONDS: 3,
+    REASON: 4,
+    SOURCE: 5
+})
+
+function makeWorkloadPropertyKey(mdmName) {
+    return `WORKLOAD_TIME_${String(mdmName).toUpperCase().trim()}`;
+}
+
+/**
+ * Applies a workload change: appends a ledger entry and updates the cached total
+ * @param {string} mdmName - Agent name
+ * @param {number} secondsToAdd - Delta in seconds (negative releases workload)
+ * @param {string} [reason=WorkloadLedgerReason.ADJUSTED] - Value from WorkloadLedgerReason
+ * @param {string} [requestNumber=null] - Request the change belongs to
+ * @param {string} [source=null] - Caller, e.g. API client id or operation name
+ * @returns {number} New total in seconds
+ */
+function updateMdmWorkloadProperty(mdmName, secondsToAdd, reason = WorkloadLedgerReason.ADJUSTED, requestNumber = null, source = null) {
     if (!mdmName || secondsToAdd === undefined) return 0;
 
-    const key = `WORKLOAD_TIME_${mdmName.toUpperCase().trim()}`;
-    const lock = LockService.getScriptLock();
+    const agent = String(mdmName).toUpperCase().trim();
+    const key = makeWorkloadPropertyKey(agent);
+    const lock = acquireKeyLock(WORKLOAD_LEDGER_LOCK_KEY, 'updateMdmWorkloadProperty', 1, 30000);
 
-    try {
-        lock.waitLock(10000); // Wait up to 10 seconds
-    } catch (e) {
-        Logger.log(`[WorkloadManager] Lock timeout for ${mdmName}: ${e.message}`);
+    if (!lock) {
+        Logger.log(`[WorkloadManager] Lock timeout for ${mdmName}`);
         throw new Error("Server busy, please try again.");
     }
 
     let newTotal = 0;
     try {
+        const ledgerSheet = getMasterSpreadsheet(WORKLOAD_LEDGER_SHEET);
+        if (!ledgerSheet) {
+            throw new Error(`${WORKLOAD_LEDGER_SHEET} sheet not found.`);
+        }
+
+        ledgerSheet.appendRow([
+            getDateNow(),
+            requestNumber || '',
+            agent,
+            secondsToAdd,
+            reason,
+            source || ''
+        ]);
+
         const props = PropertiesService.getScriptProperties();
         const currentVal = Number(props.getProperty(key)) || 0;
 
@@ -28,26 +78,360 @@ function updateMdmWorkloadProperty(mdmName, secondsToAdd) {
         if (newTotal < 0) newTotal = 0; // Prevent negative time
 
         props.setProperty(key, String(newTotal));
-        Logger.log(`[WorkloadManager] Updated ${mdmName}: ${currentVal}s -> ${newTotal}s`);
+        Logger.log(`[WorkloadManager] Updated ${mdmName}: ${currentVal}s -> ${newTotal}s (${reason}${requestNumber ? ` ${requestNumber}` : ''})`);
 
     } catch (e) {
         Logger.log(`[WorkloadManager] Error: ${e.message}`);
         throw e;
     } finally {
-        lock.releaseLock();
+        releaseDistributedLock(lock, 'updateMdmWorkloadProperty');
     }
 
     return newTotal;
 }
 
+/**
+ * Reads the ledger and folds it into a total per agent, applying the same
+ * "never below zero" rule as updateMdmWorkloadProperty
+ * @returns {Object} { [agent]: seconds }
+ */
+function getWorkloadLedgerTotals() {
+    const ledgerSheet = getMasterSpreadsheet(WORKLOAD_LEDGER_SHEET);
+    if (!ledgerSheet || ledgerSheet.getLastRow() < 2) return {};
+
+    const lastCol = Object.keys(WORKLOAD_LEDGER_COLS).length;
+    const rows = ledgerSheet.getRange(2, 1, ledgerSheet.getLastRow() - 1, lastCol).getValues();
+
+    return rows.reduce((totals, row) => {
+        const agent = String(row[WORKLOAD_LEDGER_COLS.AGENT] || '').toUpperCase().trim();
+        const delta = Number(row[WORKLOAD_LEDGER_COLS.DELTA_SECONDS]);
+        if (!agent || !Number.isFinite(delta)) return totals;
+
+        totals[agent] = Math.max((totals[agent] || 0) + delta, 0);
+        return totals;
+    }, {});
+}
+
+/**
+ * Rebuilds every WORKLOAD_TIME_<NAME> property from the ledger.
+ * Agents without ledger entries are reset to 0.
+ * @returns {Object} { [agent]: seconds }
+ */
+function rebuildWorkloadFromLedger() {
+    return withWriteLock(WORKLOAD_LEDGER_LOCK_KEY, 'rebuildWorkloadFromLedger', (_lock, beat) => {
+        const totals = getWorkloadLedgerTotals();
+        beat();
+        const props = PropertiesService.getScriptProperties();
+        const updates = {};
+
+        Object.keys(props.getProperties())
+            .filter(key => key.startsWith('WORKLOAD_TIME_'))
+            .forEach(key => { updates[key] = '0'; });
+
+        Object.entries(totals).forEach(([agent, seconds]) => {
+            updates[makeWorkloadPropertyKey(agent)] = String(seconds);
+        });
+
+        props.setProperties(updates);
+        Logger.log(`[WorkloadManager] Rebuilt ${Object.keys(updates).length} workload totals from ledger.`);
+        return totals;
+    }, 2, 60000);
+}
+
+/**
+ * Outstanding seconds per agent that the ledger still books for one request
+ * @param {string} requestNumber - Request number
+ * @returns {Object} { [agent]: seconds }, agents with nothing outstanding are omitted
+ */
+function getRequestWorkloadBalances(requestNumber) {
+    const ledgerSheet = getMasterSpreadsheet(WORKLOAD_LEDGER_SHEET);
+    if (!requestNumber || !ledgerSheet || ledgerSheet.getLastRow() < 2) return {};
+
+    const lastCol = Object.keys(WORKLOAD_LEDGER_COLS).length;
+    const matches = ledgerSheet
+        .getRange(2, WORKLOAD_LEDGER_COLS.REQUEST_NUMBER + 1, ledgerSheet.getLastRow() - 1, 1)
+        .createTextFinder(String(requestNumber))
+        .matchEntireCell(true)
+        .findAll();
+
+    const balances = matches.reduce((totals, cell) => {
+        const row = ledgerSheet.getRange(cell.getRow(), 1, 1, lastCol).getValues()[0];
+        const agent = String(row[WORKLOAD_LEDGER_COLS.AGENT] || '').toUpperCase().trim();
+        const delta = Number(row[WORKLOAD_LEDGER_COLS.DELTA_SECONDS]);
+        if (agent && Number.isFinite(delta)) {
+            totals[agent] = (totals[agent] || 0) + delta;
+        }
+        return totals;
+    }, {});
+
+    return Object.fromEntries(Object.entries(balances).filter(([, seconds]) => seconds > 0));
+}
+
+/**
+ * Releases the workload still booked for a request until only remainingSeconds are left.
+ * Safe to repeat: whatever was already released is not released again.
+ * @param {string} requestNumber - Request number
+ * @param {string} reason - Value from WorkloadLedgerReason
+ * @param {number} [remainingSeconds=0] - Seconds that should stay booked (0 at terminal states)
+ * @param {string} [source=null] - Caller written to the ledger
+ * @returns {Object} { requestNumber, outstandingSeconds, releasedSeconds, released: { [agent]: seconds } }
+ */
+function releaseRequestWorkload(requestNumber, reason, remainingSeconds = 0, source = null) {
+    return withKeyLock(`workload:${requestNumber}`, 'releaseRequestWorkload', () => {
+        const balances = getRequestWorkloadBalances(requestNumber);
+        const outstandingSeconds = Object.values(balances).reduce((sum, seconds) => sum + seconds, 0);
+        let toRelease = Math.max(outstandingSeconds - Math.max(Number(remainingSeconds) || 0, 0), 0);
+
+        const released = {};
+        Object.entries(balances)
+            .sort((a, b) => b[1] - a[1])
+            .forEach(([agent, seconds]) => {
+                const amount = Math.min(seconds, toRelease);
+                if (amount <= 0) return;
+
+                updateMdmWorkloadProperty(agent, -amount, reason, requestNumber, source);
+                released[agent] = amount;
+                toRelease -= amount;
+            });
+
+        const releasedSeconds = Object.values(released).reduce((sum, seconds) => sum + seconds, 0);
+        if (releasedSeconds > 0) {
+            Logger.log(`[WorkloadManager] Released ${releasedSeconds}s of ${requestNumber} (${reason}), outstanding was ${outstandingSeconds}s`);
+        }
+
+        return { requestNumber, outstandingSeconds, releasedSeconds, released };
+    }, 1, 15000);
+}
+
+/**
+ * Estimated seconds still to go on a row: ESTIMATED_TIME minus the working time
+ * elapsed since TAKEN_DATE. Rows not yet taken keep their full estimate.
+ * @param {number} estimatedSeconds - ESTIMATED_TIME of the row
+ * @param {string} takenDate - TAKEN_DATE of the row (MM/d/yyyy H:mm:ss)
+ * @param {Date} [now=new Date()] - Reference time
+ * @param {Object} [calendar=null] - Calendar of the assignee (getMdmCalendar)
+ * @returns {number} Remaining seconds
+ */
+function getRemainingEstimatedSeconds(estimatedSeconds, takenDate, now = new Date(), calendar = null) {
+    if (!takenDate) return estimatedSeconds;
+
+    let taken;
+    try {
+        taken = takenDate instanceof Date ? takenDate : parseMDYHMS(String(takenDate));
+    } catch (e) {
+        return estimatedSeconds;
+    }
+
+    return Math.max(estimatedSeconds - getWorkingSecondsBetween(taken, now, calendar), 0);
+}
+
+/**
+ * Open (not yet processed) rows on the agent sheets of the MDM workspace.
+ * A request copied to several agents by changeMDM is listed once per sheet.
+ * @param {Array<string>} [agents] - Agent sheets to read, defaults to every MDMSheetNames sheet
+ * @returns {Array<Object>} { agent, requestNumber, estimatedSeconds, remainingSeconds, totalTask, processStatus, priorityScore }
+ */
+function getOpenAgentRows(agents = Object.values(MDMSheetNames)) {
+    const workspace = SpreadsheetApp.openById(MDM_WORKSPACE_ID);
+    const closedStatus = [MDMStatus.COMPLETED, MDMStatus.PARTIALLY_REJECTED, MDMStatus.REJECTED, MDMStatus.CANCELLED];
+    const now = new Date();
+    const openRows = [];
+
+    agents.forEach(agent => {
+        const sheet = workspace.getSheetByName(agent);
+        if (!sheet || sheet.getLastRow() <= ACTIVITY_HEADER_ROW_INDEX) return;
+
+        const calendar = getMdmCalendar(agent);
+        const [requestNumbers, estimatedTimes, processStatuses, processedDates, takenDates, totalTasks, priorityScores] = withReadLock(makeSheetLayoutKey(agent), 'getOpenAgentRows', () => getValuesByColumns(
+            sheet,
+            [ColNames.REQUEST_NUMBER, ColNames.ESTIMATED_TIME, ColNames.PROCESS_STATUS, ColNames.PROCESSED_DATE, ColNames.TAKEN_DATE, ColNames.TOTAL_TASK, ColNames.PRIORITY_SCORE],
+            ACTIVITY_HEADER_ROW_INDEX
+        ), 2, 15000);
+
+        requestNumbers.forEach((requestNumber, i) => {
+            if (i === 0 || !requestNumber) return; // header
+            if (processedDates[i] || closedStatus.includes(processStatuses[i])) return;
+
+            const parsed = parseFloat(String(estimatedTimes[i]));
+            const estimatedSeconds = Number.isFinite(parsed) ? parsed : 0;
+
+            openRows.push({
+                agent,
+                requestNumber,
+                estimatedSeconds,
+                remainingSeconds: getRemainingEstimatedSeconds(estimatedSeconds, takenDates[i], now, calendar),
+                totalTask: parseInt(totalTasks[i], 10) || 0,
+                processStatus: processStatuses[i] || null,
+                priorityScore: parseFloat(priorityScores[i]) || 0
+            });
+        });
+    });
+
+    return openRows;
+}
+
+/**
+ * Open rows of one agent sheet in the order the agent works through them (the prioritySorting
+ * order): rows already On Going first, then by priority score, highest first.
+ * With a priority score, only the rows ahead of a new request of that score are returned.
+ * @param {string} agent - Agent sheet name
+ * @param {number} [priorityScore=null] - Score of the new request
+ * @param {Array<Object>} [openRows] - getOpenAgentRows result to reuse; read from the agent sheet when omitted
+ * @returns {Array<Object>} getOpenAgentRows entries
+ */
+function getMdmQueueRows(agent, priorityScore = null, openRows = null) {
+    const name = String(agent).toUpperCase().trim();
+    const isOnGoing = row => row.processStatus === MDMStatus.ON_GOING;
+    return (openRows || getOpenAgentRows([name]))
+        .filter(row => row.agent === name)
+        .filter(row => priorityScore === null || isOnGoing(row) || row.priorityScore >= priorityScore)
+        .sort((a, b) => isOnGoing(b) - isOnGoing(a) || b.priorityScore - a.priorityScore);
+}
+
+/**
+ * Remaining seconds an agent works through before a new request of this priority:
+ * rows already On Going plus open rows scoring at least as high (the prioritySorting order)
+ * @param {string} agent - Agent sheet name
+ * @param {number} priorityScore - Score of the new request
+ * @param {Array<Object>} [openRows] - getOpenAgentRows result to reuse; read from the agent sheet when omitted
+ * @returns {number} Seconds queued ahead
+ */
+function getMdmQueueAheadSeconds(agent, priorityScore, openRows = null) {
+    return getMdmQueueRows(agent, priorityScore, openRows)
+        .reduce((sum, row) => sum + row.remainingSeconds, 0);
+}
+
+/**
+ * Remaining estimated workload of the open rows per agent
+ * @returns {Object} { [agent]: { seconds, rows } }
+ */
+function getOpenWorkloadFromAgentSheets() {
+    const open = Object.values(MDMSheetNames).reduce((totals, agent) => {
+        totals[agent] = { seconds: 0, rows: 0 };
+        return totals;
+    }, {});
+
+    getOpenAgentRows().forEach(row => {
+        open[row.agent].seconds += row.remainingSeconds;
+        open[row.agent].rows += 1;
+    });
+
+    return open;
+}
+
+/**
+ * Partial credit for work in progress: releases the working time elapsed since
+ * TAKEN_DATE from every open request, so the totals track the work still to do.
+ * Terminal states release the rest (handleProcessStatusTrigger / handleRequestCancelled).
+ * @returns {number} Seconds released
+ */
+function decayOpenWorkload() {
+    const operation = 'decayOpenWorkload';
+    const seen = new Set();
+    let releasedSeconds = 0;
+
+    getOpenAgentRows()
+        .filter(row => row.remainingSeconds < row.estimatedSeconds)
+        .forEach(row => {
+            if (seen.has(row.requestNumber)) return;
+            seen.add(row.requestNumber);
+
+            try {
+                const result = releaseRequestWorkload(
+                    row.requestNumber, WorkloadLedgerReason.PARTIAL_CREDIT, row.remainingSeconds, operation
+                );
+                releasedSeconds += result.releasedSeconds;
+            } catch (e) {
+                Logger.log(`[${operation}] Failed for ${row.requestNumber}: ${e.message}`);
+            }
+        });
+
+    Logger.log(`[${operation}] Released ${releasedSeconds}s across ${seen.size} requests in progress.`);
+    return releasedSeconds;
+}
+
+/**
+ * Reconciliation job: compares ledger totals, cached property totals and the remaining
+ * estimate of the open rows of every agent sheet. Results are written to the WORKLOAD RECONCILIATION sheet and
+ * mismatches are reported to EMAIL_MDM_GROUP.
+ * @returns {Array<Object>} One entry per agent
+ */
+function reconcileWorkload() {
+    const operation = 'reconcileWorkload';
+    // Ledger and cached totals are one snapshot: ledger writers are held off, other readers are not
+    const { ledgerTotals, properties } = withReadLock(WORKLOAD_LEDGER_LOCK_KEY, operation, () => ({
+        ledgerTotals: getWorkloadLedgerTotals(),
+        properties: PropertiesService.getScriptProperties().getProperties()
+    }), 2, 30000);
+    const openWorkload = getOpenWorkloadFromAgentSheets();
+    const checkedAt = getDateNow();
+
+    const agents = [...new Set([...Object.keys(openWorkload), ...Object.keys(ledgerTotals)])].sort();
+    const results = agents.map(agent => {
+        const ledgerSeconds = ledgerTotals[agent] || 0;
+        const propertySeconds = Number(properties[makeWorkloadPropertyKey(agent)]) || 0;
+        const open = openWorkload[agent] || { seconds: 0, rows: 0 };
+        const difference = ledgerSeconds - open.seconds;
+        const isMismatch = Math.abs(difference) > WORKLOAD_RECONCILIATION_TOLERANCE_SEC ||
+            Math.abs(ledgerSeconds - propertySeconds) > WORKLOAD_RECONCILIATION_TOLERANCE_SEC;
+
+        return {
+            agent,
+            ledgerSeconds,
+            propertySeconds,
+            openSeconds: open.seconds,
+            openRows: open.rows,
+            difference,
+            status: isMismatch ? 'MISMATCH' : 'OK'
+        };
+    });
+
+    const reportSheet = getMasterSpreadsheet(WORKLOAD_RECONCILIATION_SHEET);
+    if (reportSheet && results.length > 0) {
+        reportSheet.getRange(2, 1, reportSheet.getMaxRows() - 1, 8).clearContent();
+        reportSheet.getRange(2, 1, results.length, 8).setValues(results.map(r => [
+            r.agent, r.ledgerSeconds, r.propertySeconds, r.openSeconds, r.openRows, r.difference, r.status, checkedAt
+        ]));
+    }
+
+    const mismatches = results.filter(r => r.status === 'MISMATCH');
+    Logger.log(`[${operation}] Checked ${results.length} agents, ${mismatches.length} mismatches.`);
+
+    if (mismatches.length > 0) {
+        const lines = mismatches.map(r =>
+            `<strong>${r.agent}</strong>: ledger ${r.ledgerSeconds}s, ` +
+            `cached ${r.propertySeconds}s, open rows ${r.openSeconds}s (${r.openRows} rows)`
+        );
+        try {
+            MailApp.sendEmail({
+                to: EMAIL_MDM_GROUP,
+                subject: `[Workload] ${mismatches.length} agent total(s) out of sync`,
+                htmlBody: [
+                    'The workload reconciliation found totals that differ from the open rows in the agent sheets:',
+                    ...lines,
+                    `See the ${WORKLOAD_RECONCILIATION_SHEET} sheet in Master. Run rebuildWorkloadFromLedger after correcting the ledger.`
+                ].map(line => createStyledParagraph(line)).join('')
+            });
+        } catch (e) {
+            Logger.log(`[${operation}] Failed to send mismatch report: ${e.message}`);
+        }
+    }
+
+    return results;
+}
+
+/**
+ * One-off migration from the WORKLOAD MDM sheet. Each agent total is written to the
+ * ledger as an Adjusted opening balance (difference to the current ledger total),
+ * so rebuildWorkloadFromLedger gives the same result afterwards.
+ */
 function syncSheetToProperties() {
   const sheet = getMasterSpreadsheet('WORKLOAD MDM');
   const data = sheet.getDataRange().getValues();
   // Asumsi: Col A=Name, Col E=Total Time (Sesuaikan index kolom Anda)
   // Header row 1
   
-  const props = PropertiesService.getScriptProperties();
-  const updates = {};
+  const ledgerTotals = getWorkloadLedgerTotals();
 
   // Loop data sheet (mulai baris 2)
   for (let i = 1; i < data.length; i++) {
@@ -60,11 +444,13 @@ function syncSheetToProperties() {
     else seconds = parseInt(timeVal) || 0;
 
     if (name) {
-      const key = `WORKLOAD_TIME_${name}`;
-      updates[key] = String(seconds);
+      const delta = seconds - (ledgerTotals[name] || 0);
+      if (delta !== 0) {
+        updateMdmWorkloadProperty(name, delta, WorkloadLedgerReason.ADJUSTED, null, 'syncSheetToProperties');
+      }
     }
   }
   
-  props.setProperties(updates);
-  Logger.log("Migrasi Selesai: Data Sheet berhasil disalin ke Script Properties.");
+  rebuildWorkloadFromLedger();
+  Logger.log("Migrasi Selesai: Data Sheet berhasil disalin ke Ledger dan Script Properties.");
 }
\ No newline at end of file
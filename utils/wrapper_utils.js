@@ -9,6 +9,9 @@ const BACKOFF_CFG = {
 const GUARD_WAIT_MS = 200;
 const LOCK_TIMEOUT_MS = 300000;
 const STALE_THRESHOLD_MS = 8000;
+// Row locks held across a whole request handler (approval, allocation, emails, copies) only
+// beat between phases, and a single phase can take longer than STALE_THRESHOLD_MS
+const HANDLER_STALE_THRESHOLD_MS = 60000;
 const TTL_CUSHION_MS = 2000;
 
 /**************************************
@@ -26,75 +29,275 @@ function makeKeyLockKey(lockKey) {
   const hex = digest.map(b => ('0' + (b & 0xFF).toString(16)).slice(-2)).join('');
   return `${ns}${hex}`; // fixed-length, no collisions in practice
 }
+/**
+ * Key locks come in two modes on the same key:
+ *  - exclusive (writer): { mode, operation, timestamp, lastHeartbeat, priority, lockId, expiry, fencingToken }
+ *  - shared (readers)  : { mode: 'shared', readers: { [lockId]: { operation, timestamp, lastHeartbeat, priority, expiry, fencingToken } } }
+ * Every acquisition gets a fencing token from a per-key counter (`<key>:FENCE`), see isFencingTokenCurrent.
+ *
+ * Waiters register in a per-key queue (`<key>:QUEUE`) ordered by priority, then writers before
+ * readers of the same priority, then arrival:
+ *  - a free key goes to the head of the queue only; a writer needs everyone ahead of it gone
+ *  - a reader may join the current readers while only readers are ahead of it,
+ *    so a steady stream of readers cannot starve a writer of their priority
+ *  - healthy holders are never preempted; a waiter that stops polling drops out after STALE_THRESHOLD_MS
+ */
+const KEY_LOCK_MODE = Object.freeze({
+  EXCLUSIVE: 'exclusive',
+  SHARED: 'shared'
+});
+
+function makeLockQueueKey(key) {
+  return `${key}:QUEUE`;
+}
+
+function compareLockWaiters(a, b) {
+  const readerA = a.mode === KEY_LOCK_MODE.SHARED ? 1 : 0;
+  const readerB = b.mode === KEY_LOCK_MODE.SHARED ? 1 : 0;
+  return a.priority - b.priority || readerA - readerB || a.arrivedAt - b.arrivedAt || (a.lockId < b.lockId ? -1 : 1);
+}
+
+/** Waiters of a key that are still polling, best first. */
+function readLockQueue(cache, key, operation, now = Date.now()) {
+  let waiters = {};
+  try {
+    waiters = JSON.parse(cache.get(makeLockQueueKey(key)) || '{}');
+  } catch (e) {
+    Logger.log(`[${operation}] Malformed lock queue (${e}); resetting.`);
+  }
+
+  return Object.entries(waiters)
+    .filter(([, w]) => now - w.lastSeen <= STALE_THRESHOLD_MS)
+    .map(([lockId, w]) => ({ ...w, lockId }))
+    .sort(compareLockWaiters);
+}
+
+/**
+ * Queue of a key with `waiter` (re)registered and its lastSeen refreshed.
+ * Must run under the guard; the caller writes the queue back with saveLockQueue.
+ */
+function enqueueLockWaiter(cache, key, waiter, now = Date.now()) {
+  return readLockQueue(cache, key, waiter.operation, now)
+    .filter(w => w.lockId !== waiter.lockId)
+    .concat([{ ...waiter, lastSeen: now }])
+    .sort(compareLockWaiters);
+}
+
+function saveLockQueue(cache, key, queue) {
+  if (queue.length === 0) {
+    cache.remove(makeLockQueueKey(key));
+    return;
+  }
+  const waiters = queue.reduce((map, { lockId, ...w }) => {
+    map[lockId] = w;
+    return map;
+  }, {});
+  cache.put(makeLockQueueKey(key), JSON.stringify(waiters), Math.ceil((STALE_THRESHOLD_MS + TTL_CUSHION_MS) / 1000));
+}
+
+function makeFencingTokenKey(key) {
+  return `${key}:FENCE`;
+}
+
+/**
+ * Next fencing token of a key; called under the guard on every acquisition.
+ * Tokens never drop below the clock, so they keep increasing even after the counter is evicted.
+ */
+function issueFencingToken(cache, key) {
+  const last = Number(cache.get(makeFencingTokenKey(key))) || 0;
+  const token = Math.max(last + 1, Date.now());
+  cache.put(makeFencingTokenKey(key), String(token), 21600);
+  return token;
+}
+
+/**
+ * False once the key has been acquired again after `lockObj` (e.g. a stale takeover),
+ * meaning the holder must not commit any more writes.
+ * @param {Object} lockObj - Lock returned by acquireKeyLock / acquireRowLock
+ * @returns {boolean} True when no later acquisition exists
+ */
+function isFencingTokenCurrent(lockObj) {
+  if (!lockObj || !lockObj.fencingToken) return true;
+  const last = Number(CacheService.getScriptCache().get(makeFencingTokenKey(lockObj.lockKey))) || 0;
+  return last <= lockObj.fencingToken;
+}
+
+let keyLockExecutionOwner = null;
+
+// Key locks this execution holds, by cache key: { lock, depth }. A nested acquisition of one
+// of them re-enters it instead of waiting on itself; releaseDistributedLock unwinds the depth.
+const heldKeyLocks = {};
+
+/** Owner id of every key lock taken by this execution, so nested locks show up as one node in the wait-for graph. */
+function getKeyLockExecutionOwner() {
+  if (!keyLockExecutionOwner) keyLockExecutionOwner = Utilities.getUuid();
+  return keyLockExecutionOwner;
+}
+
+/** Owners currently holding a key lock record. */
+function getLockOwners(info) {
+  if (!info) return [];
+  if (info.mode === KEY_LOCK_MODE.SHARED) {
+    return Object.entries(info.readers || {}).map(([lockId, reader]) => reader.owner || lockId);
+  }
+  return [info.owner || info.lockId];
+}
+
+/** True while the holder keeps heartbeating (within its own staleAfterMs) and the lease has not expired. */
+function isLockEntryLive(entry, now = Date.now()) {
+  const lastBeat = entry.lastHeartbeat || entry.timestamp || 0;
+  return now <= (entry.expiry || 0) && now - lastBeat <= (entry.staleAfterMs || STALE_THRESHOLD_MS);
+}
+
 /**
  * Acquire a general-purpose distributed lock keyed by arbitrary string.
- * Same semantics as acquireSheetLockWithPriority (no preemption of healthy locks).
+ * No preemption of healthy locks; when the key frees up it goes to the best waiter in the queue
+ * (lowest priority number, then earliest arrival) instead of whoever retries first.
+ * Re-entrant within one execution: a key it already holds (exclusive, or shared for a shared
+ * request) returns the held lock, and only the outermost release frees it. A shared hold is
+ * never upgraded to exclusive; that request fails at once instead of waiting on itself.
+ * While blocked the execution is recorded in the wait-for graph; when that shows a cycle
+ * through it and it is the victim, it gives up and returns null.
+ * @param {string} [mode=KEY_LOCK_MODE.EXCLUSIVE] - KEY_LOCK_MODE.SHARED lets several readers hold the key
+ * @param {Object} [options={}]
+ * @param {Function} [options.onDeadlock] - Called with the cycle's operations when this acquisition is the victim
+ * @param {number} [options.staleAfterMs=STALE_THRESHOLD_MS] - How long the lock may go without a heartbeat
+ *   before another execution takes it over, e.g. HANDLER_STALE_THRESHOLD_MS
  */
-function acquireKeyLock(lockKey, operation, priority = 2, maxWaitTime = 60000) {
+function acquireKeyLock(lockKey, operation, priority = 2, maxWaitTime = 60000, mode = KEY_LOCK_MODE.EXCLUSIVE, options = {}) {
   const cache = CacheService.getScriptCache();
   const key = makeKeyLockKey(lockKey);
+  const shared = mode === KEY_LOCK_MODE.SHARED;
+
+  const held = heldKeyLocks[key];
+  if (held) {
+    if (shared || held.lock.mode !== KEY_LOCK_MODE.SHARED) {
+      held.depth += 1;
+      Logger.log(`[${operation}] Key lock "${lockKey}" already held by "${held.lock.operation}" in this execution; re-entering.`);
+      return held.lock;
+    }
+    Logger.log(`[${operation}] Key lock "${lockKey}" is held shared by this execution; cannot upgrade to ${mode}.`);
+    return null;
+  }
+
+  const ttlSec = Math.ceil((LOCK_TIMEOUT_MS + TTL_CUSHION_MS) / 1000);
   const start = Date.now();
   const myId = Utilities.getUuid();
+  const owner = getKeyLockExecutionOwner();
+  const waiter = { lockId: myId, owner, operation, priority, mode, arrivedAt: start };
   let attempt = 0;
+  let waitRecorded = false;
 
-  Logger.log(`[${operation}] Attempting key lock "${lockKey}" (prio ${priority})`);
+  Logger.log(`[${operation}] Attempting ${mode} key lock "${lockKey}" (prio ${priority})`);
 
   while (Date.now() - start < maxWaitTime) {
     attempt += 1;
+    let position = -1;
+    let deadlock = null;
     const guard = LockService.getScriptLock();
     try {
       guard.waitLock(GUARD_WAIT_MS);
 
       const now = Date.now();
       const raw = cache.get(key);
-      let takeOver = false;
       let existing = null;
 
-      if (!raw) {
-        takeOver = true;
-      } else {
+      if (raw) {
         try {
           existing = JSON.parse(raw);
-          const lastBeat = existing.lastHeartbeat || existing.timestamp || 0;
-          const beatAge = now - lastBeat;
-          const isExpired = now > (existing.expiry || 0);
-
-          if (isExpired || beatAge > STALE_THRESHOLD_MS) {
-            Logger.log(`[${operation}] Stale/expired key lock detected; taking over.`);
-            takeOver = true;
-          } else {
-            Logger.log(`[${operation}] Key lock held by "${existing.operation}" (prio ${existing.priority}); waiting.`);
-          }
         } catch (e) {
           Logger.log(`[${operation}] Malformed key lock data (${e}); taking over.`);
-          takeOver = true;
         }
       }
 
-      if (takeOver) {
-        const now2 = Date.now();
-        const payloadObj = {
-          operation,
-          timestamp: now2,
-          lastHeartbeat: now2,
-          priority,
-          lockId: myId,
-          expiry: now2 + LOCK_TIMEOUT_MS
-        };
-        const ttlSec = Math.ceil((LOCK_TIMEOUT_MS + TTL_CUSHION_MS) / 1000);
-        cache.put(key, JSON.stringify(payloadObj), ttlSec);
+      // Drop holders that stopped heartbeating
+      if (existing && existing.mode === KEY_LOCK_MODE.SHARED) {
+        const liveReaders = Object.entries(existing.readers || {}).filter(([, reader]) => isLockEntryLive(reader, now));
+        if (liveReaders.length < Object.keys(existing.readers || {}).length) {
+          Logger.log(`[${operation}] Dropping ${Object.keys(existing.readers || {}).length - liveReaders.length} stale reader(s).`);
+        }
+        existing = liveReaders.length > 0 ? { ...existing, readers: Object.fromEntries(liveReaders) } : null;
+      } else if (existing && !isLockEntryLive(existing, now)) {
+        Logger.log(`[${operation}] Stale/expired key lock detected; taking over.`);
+        existing = null;
+      }
+
+      const holder = { operation, owner, timestamp: now, lastHeartbeat: now, priority, expiry: now + LOCK_TIMEOUT_MS };
+      if (options.staleAfterMs) holder.staleAfterMs = options.staleAfterMs;
+      const queue = enqueueLockWaiter(cache, key, waiter, now);
+      position = queue.findIndex(w => w.lockId === myId);
+      const ahead = queue.slice(0, position);
+      let acquired = false;
+
+      if (!shared) {
+        if (!existing && ahead.length === 0) {
+          holder.fencingToken = issueFencingToken(cache, key);
+          cache.put(key, JSON.stringify({ mode, ...holder, lockId: myId }), ttlSec);
+          acquired = true;
+        } else if (existing) {
+          Logger.log(existing.mode === KEY_LOCK_MODE.SHARED
+            ? `[${operation}] Key lock shared by ${Object.keys(existing.readers).length} reader(s); waiting (queue #${position + 1}).`
+            : `[${operation}] Key lock held by "${existing.operation}" (prio ${existing.priority}); waiting (queue #${position + 1}).`);
+        } else {
+          Logger.log(`[${operation}] Key lock free; yielding to "${ahead[0].operation}" (prio ${ahead[0].priority}).`);
+        }
+      } else {
+        const writerAhead = ahead.find(w => w.mode !== KEY_LOCK_MODE.SHARED);
+
+        if (existing && existing.mode !== KEY_LOCK_MODE.SHARED) {
+          Logger.log(`[${operation}] Key lock held by writer "${existing.operation}" (prio ${existing.priority}); waiting (queue #${position + 1}).`);
+        } else if (writerAhead) {
+          Logger.log(`[${operation}] Writer "${writerAhead.operation}" (prio ${writerAhead.priority}) is queued ahead; reader yields.`);
+        } else {
+          holder.fencingToken = issueFencingToken(cache, key);
+          const readers = { ...((existing && existing.readers) || {}), [myId]: holder };
+          cache.put(key, JSON.stringify({ mode, readers }), ttlSec);
+          acquired = true;
+        }
+      }
 
-        Logger.log(`[${operation}] Key lock ACQUIRED "${lockKey}" lockId=${myId}`);
-        return {
+      if (!acquired) {
+        // Whoever this waiter yields to: the holders it cannot share with and the waiters it queues behind
+        const blockers = shared
+          ? [...(existing && existing.mode !== KEY_LOCK_MODE.SHARED ? getLockOwners(existing) : []),
+            ...ahead.filter(w => w.mode !== KEY_LOCK_MODE.SHARED).map(w => w.owner)]
+          : [...getLockOwners(existing), ...ahead.map(w => w.owner)];
+        const holders = [...new Set(blockers.filter(Boolean))];
+
+        const graph = writeLockWaitFor(cache, owner, { key: lockKey, operation, priority, holders }, now);
+        waitRecorded = true;
+        const cycle = findLockWaitCycle(graph, owner);
+        if (cycle && (cycle.length === 1 || pickLockWaitVictim(graph, cycle) === owner)) {
+          deadlock = cycle.map(id => graph[id].operation);
+        } else if (cycle) {
+          Logger.log(`[${operation}] Wait-for cycle on "${lockKey}" (${cycle.map(id => graph[id].operation).join(' → ')}); ` +
+            `victim is "${graph[pickLockWaitVictim(graph, cycle)].operation}", keep waiting.`);
+        }
+      }
+      if ((acquired || deadlock) && waitRecorded) {
+        writeLockWaitFor(cache, owner, null, now);
+        waitRecorded = false;
+      }
+
+      saveLockQueue(cache, key, acquired || deadlock ? queue.filter(w => w.lockId !== myId) : queue);
+
+      if (acquired) {
+        Logger.log(`[${operation}] Key lock ACQUIRED (${mode}) "${lockKey}" lockId=${myId} token=${holder.fencingToken}`);
+        const lock = {
           scope: 'key',
+          mode,
           lockKey: key,
           userKey: lockKey,
           lockId: myId,
+          owner,
           operation,
           priority,
-          lastHeartbeat: payloadObj.lastHeartbeat,
-          expiry: payloadObj.expiry
+          fencingToken: holder.fencingToken,
+          lastHeartbeat: holder.lastHeartbeat,
+          expiry: holder.expiry
         };
+        heldKeyLocks[key] = { lock, depth: 1 };
+        return lock;
       }
     } catch (e) {
       Logger.log(`[${operation}] Guard/key lock internal error: ${e}`);
@@ -102,19 +305,57 @@ function acquireKeyLock(lockKey, operation, priority = 2, maxWaitTime = 60000) {
       try { guard.releaseLock(); } catch (_) { }
     }
 
+    if (deadlock) {
+      Logger.log(deadlock.length === 1
+        ? `[${operation}] "${lockKey}" is held by this execution; not waiting for itself.`
+        : `[${operation}] Wait-for cycle on "${lockKey}" (${deadlock.join(' → ')}); giving up as victim.`);
+      if (options.onDeadlock) options.onDeadlock(deadlock);
+      return null;
+    }
+
+    // Jitter only spreads guard contention; the head of the queue polls on a fixed schedule,
+    // so once the key frees up it takes over within cfg.max.
     const cfg = BACKOFF_CFG[priority] || BACKOFF_CFG[3];
     const scaled = Math.min(cfg.base * Math.pow(1.5, attempt - 1), cfg.max);
-    const jitter = Math.floor(Math.random() * 200);
+    const jitter = position === 0 ? 0 : Math.floor(Math.random() * 200);
     Utilities.sleep(scaled + jitter);
   }
 
-  Logger.log(`[${operation}] FAILED to acquire key lock "${lockKey}" after ${Date.now() - start}ms`);
+  leaveLockQueue(key, myId, operation, waitRecorded ? owner : null);
+  Logger.log(`[${operation}] FAILED to acquire ${mode} key lock "${lockKey}" after ${Date.now() - start}ms`);
   return null;
 }
 
+/**
+ * A waiter that gives up leaves the queue so the ones behind it are not held back,
+ * and with `owner` set also drops its wait-for graph entry.
+ */
+function leaveLockQueue(key, lockId, operation, owner = null) {
+  const cache = CacheService.getScriptCache();
+  const guard = LockService.getScriptLock();
+  try {
+    guard.waitLock(GUARD_WAIT_MS);
+    saveLockQueue(cache, key, readLockQueue(cache, key, operation).filter(w => w.lockId !== lockId));
+    if (owner) writeLockWaitFor(cache, owner, null);
+  } catch (e) {
+    Logger.log(`[${operation}] Could not leave lock queue: ${e}`);
+  } finally {
+    try { guard.releaseLock(); } catch (_) { }
+  }
+}
+
 /** Release either a sheet or key lock (polymorphic). */
 function releaseDistributedLock(lockObj, operation = 'releaseDistributedLock') {
   if (!lockObj) return;
+
+  // A re-entered key lock stays held until its outermost release
+  const held = heldKeyLocks[lockObj.lockKey];
+  if (held && held.lock.lockId === lockObj.lockId) {
+    held.depth -= 1;
+    if (held.depth > 0) return;
+    delete heldKeyLocks[lockObj.lockKey];
+  }
+
   const cache = CacheService.getScriptCache();
   const guard = LockService.getScriptLock();
   try {
@@ -124,7 +365,21 @@ function releaseDistributedLock(lockObj, operation = 'releaseDistributedLock') {
 
     try {
       const info = JSON.parse(raw);
-      if (info.lockId === lockObj.lockId) {
+      if (info.mode === KEY_LOCK_MODE.SHARED) {
+        const readers = { ...(info.readers || {}) };
+        if (!readers[lockObj.lockId]) {
+          Logger.log(`[${operation}] Reader ${lockObj.lockId} not found; not releasing.`);
+          return;
+        }
+        delete readers[lockObj.lockId];
+        if (Object.keys(readers).length === 0) {
+          cache.remove(lockObj.lockKey);
+        } else {
+          const ttlSec = Math.ceil((LOCK_TIMEOUT_MS + TTL_CUSHION_MS) / 1000);
+          cache.put(lockObj.lockKey, JSON.stringify({ ...info, readers }), ttlSec);
+        }
+        Logger.log(`[${operation}] Released shared key lock "${lockObj.lockKey}" (${Object.keys(readers).length} reader(s) left).`);
+      } else if (info.lockId === lockObj.lockId) {
         cache.remove(lockObj.lockKey);
         Logger.log(`[${operation}] Released ${lockObj.scope || 'sheet'} lock "${lockObj.lockKey}".`);
       } else {
@@ -167,6 +422,23 @@ function updateLockHeartbeat(lockObj, operation = 'updateLockHeartbeat') {
       return false;
     }
 
+    // Shared locks keep one entry per reader
+    if (info.mode === KEY_LOCK_MODE.SHARED) {
+      const reader = (info.readers || {})[lockObj.lockId];
+      if (!reader) {
+        Logger.log(`[${operation}] Reader ${lockObj.lockId} not found for "${lockObj.lockKey}".`);
+        return false;
+      }
+      const now = Date.now();
+      reader.lastHeartbeat = now;
+      reader.expiry = now + LOCK_TIMEOUT_MS;
+      cache.put(lockObj.lockKey, JSON.stringify(info), Math.ceil((LOCK_TIMEOUT_MS + TTL_CUSHION_MS) / 1000));
+
+      lockObj.lastHeartbeat = reader.lastHeartbeat;
+      lockObj.expiry = reader.expiry;
+      return true;
+    }
+
     // Ownership check
     if (info.lockId !== lockObj.lockId) {
       Logger.log(`[${operation}] Ownership mismatch for "${lockObj.lockKey}". Held by another lockId.`);
@@ -211,11 +483,16 @@ function heartbeatLock(lockObj) {
 /**
  * Run a critical section with a key-based distributed lock.
  * If your section could be long, call the provided `beat()` to extend the lease as needed.
+ * @param {string} [mode=KEY_LOCK_MODE.EXCLUSIVE] - Lock mode, see acquireKeyLock
+ * @param {Object} [options={}] - See acquireKeyLock (e.g. staleAfterMs)
  */
-function withKeyLock(lockKey, operation, fn, priority = 2, maxWaitMs = 60000) {
-  const lock = acquireKeyLock(lockKey, operation, priority, maxWaitMs);
+function withKeyLock(lockKey, operation, fn, priority = 2, maxWaitMs = 60000, mode = KEY_LOCK_MODE.EXCLUSIVE, options = {}) {
+  let deadlocked = false;
+  const lock = acquireKeyLock(lockKey, operation, priority, maxWaitMs, mode, { ...options, onDeadlock: () => { deadlocked = true; } });
   if (!lock) {
-    throw new Error(`[${operation}] Could not acquire key lock "${lockKey}" within ${maxWaitMs}ms`);
+    throw new Error(deadlocked
+      ? `[${operation}] Deadlock on ${mode} key lock "${lockKey}"; aborted as victim`
+      : `[${operation}] Could not acquire ${mode} key lock "${lockKey}" within ${maxWaitMs}ms`);
   }
   try {
     return fn(lock, () => heartbeatLock(lock));
@@ -224,6 +501,136 @@ function withKeyLock(lockKey, operation, fn, priority = 2, maxWaitMs = 60000) {
   }
 }
 
+/** Shared section: runs alongside other readers of the key, never alongside a writer. */
+function withReadLock(lockKey, operation, fn, priority = 2, maxWaitMs = 60000) {
+  return withKeyLock(lockKey, operation, fn, priority, maxWaitMs, KEY_LOCK_MODE.SHARED);
+}
+
+/** Exclusive section: waits for readers to drain; new readers queue behind it. */
+function withWriteLock(lockKey, operation, fn, priority = 2, maxWaitMs = 60000) {
+  return withKeyLock(lockKey, operation, fn, priority, maxWaitMs, KEY_LOCK_MODE.EXCLUSIVE);
+}
+
+/**************************************
+ * wrapper_utils.js (multi-key locks)
+ **************************************/
+
+/**
+ * Wait-for graph of every execution blocked on a key lock (acquireKeyLock and all wrappers over it):
+ *   { [owner]: { key, operation, priority, holders: [owner], lastSeen } }
+ * `holders` are the executions the waiter yields to: holders of the key it cannot share with and
+ * waiters queued ahead of it. Sorted acquisition already rules out cycles between plain withKeyLocks
+ * sets; the graph catches the ones formed by nested locks taken in different orders.
+ */
+const KEY_LOCK_WAIT_FOR_KEY = 'KEY_LOCK_WAIT_FOR';
+
+/**
+ * Records (or with `entry` null, removes) what `owner` waits for and returns the live graph.
+ * Must run under the guard.
+ */
+function writeLockWaitFor(cache, owner, entry, now = Date.now()) {
+  let graph = {};
+  try {
+    graph = JSON.parse(cache.get(KEY_LOCK_WAIT_FOR_KEY) || '{}');
+  } catch (e) {
+    Logger.log(`[writeLockWaitFor] Malformed wait-for graph (${e}); resetting.`);
+  }
+
+  graph = Object.fromEntries(Object.entries(graph).filter(([id, node]) => id !== owner && now - node.lastSeen <= STALE_THRESHOLD_MS));
+  if (entry) graph[owner] = { ...entry, lastSeen: now };
+
+  if (Object.keys(graph).length === 0) {
+    cache.remove(KEY_LOCK_WAIT_FOR_KEY);
+  } else {
+    cache.put(KEY_LOCK_WAIT_FOR_KEY, JSON.stringify(graph), Math.ceil((STALE_THRESHOLD_MS + TTL_CUSHION_MS) / 1000));
+  }
+  return graph;
+}
+
+/**
+ * Owners on a wait-for cycle through `start`, or null
+ */
+function findLockWaitCycle(graph, start) {
+  const path = [];
+  const visited = new Set();
+  const visit = owner => {
+    if (owner === start && path.length > 0) return true;
+    if (visited.has(owner) || !graph[owner]) return false;
+    visited.add(owner);
+    path.push(owner);
+    if ((graph[owner].holders || []).some(visit)) return true;
+    path.pop();
+    return false;
+  };
+  return visit(start) ? path : null;
+}
+
+/**
+ * Every member of a cycle picks the same victim: the lowest priority (highest number), then the highest owner id
+ */
+function pickLockWaitVictim(graph, cycle) {
+  return cycle
+    .slice()
+    .sort((a, b) => graph[b].priority - graph[a].priority || (a < b ? 1 : -1))[0];
+}
+
+/**
+ * Run a critical section holding several key locks at once.
+ * Keys are taken exclusively in sorted order, all-or-nothing: if one cannot be acquired the
+ * ones already held are released. Keys this execution already holds are re-entered (see
+ * acquireKeyLock). When the wait-for graph shows a cycle, its victim releases the keys of the
+ * set and starts over (or throws when it held none), the others keep waiting.
+ * `fn(locks, beat, fence)` receives the locks in key order, one `beat()` that extends all of them
+ * and `fence(activity)`, which fences an Activity with the lock of its row (see fenceActivity).
+ * @param {Array<string>} lockKeys - User keys, e.g. makeRowUserKey(...) for rows
+ */
+function withKeyLocks(lockKeys, operation, fn, priority = 2, maxWaitMs = 60000) {
+  const keys = [...new Set(lockKeys.map(String))].sort();
+  const start = Date.now();
+  let locks = [];
+  let attempt = 0;
+
+  while (locks.length < keys.length) {
+    attempt += 1;
+    let isVictim = false;
+
+    for (const key of keys) {
+      const remaining = maxWaitMs - (Date.now() - start);
+      const lock = remaining > 0 ? acquireKeyLock(key, operation, priority, remaining, KEY_LOCK_MODE.EXCLUSIVE, {
+        onDeadlock: cycle => { isVictim = cycle.length > 1; }
+      }) : null;
+      if (!lock) break;
+      locks.push(lock);
+    }
+    if (locks.length === keys.length) break;
+
+    // All-or-nothing: hand back what this attempt got
+    const held = locks.length;
+    locks.reverse().forEach(lock => releaseDistributedLock(lock, operation));
+    locks = [];
+
+    if (isVictim && held === 0) {
+      // The cycle runs through locks held outside this set; only unwinding the caller breaks it
+      throw new Error(`[${operation}] Deadlock on key locks ${keys.join(', ')}; aborted as victim`);
+    }
+    if (!isVictim || Date.now() - start >= maxWaitMs) {
+      throw new Error(`[${operation}] Could not acquire key locks ${keys.join(', ')} within ${maxWaitMs}ms`);
+    }
+    const cfg = BACKOFF_CFG[priority] || BACKOFF_CFG[3];
+    Utilities.sleep(Math.min(cfg.base * Math.pow(1.5, attempt - 1), cfg.max) + Math.floor(Math.random() * 200));
+  }
+
+  try {
+    return fn(
+      locks,
+      () => locks.map(lock => heartbeatLock(lock)).every(Boolean),
+      activity => fenceActivity(activity, locks)
+    );
+  } finally {
+    locks.slice().reverse().forEach(lock => releaseDistributedLock(lock, operation));
+  }
+}
+
 /**************************************
  * wrapper_utils.js (row-lock shim)
  **************************************/
@@ -233,13 +640,39 @@ function makeRowUserKey(sheetName, rowIndex) {
   return `row:${String(sheetName)}:${Number(rowIndex)}`;
 }
 
+/**
+ * Key over the row layout of a sheet: column scans that map values to row numbers take it
+ * shared (withReadLock), row deletions take it exclusive (withWriteLock). Always taken
+ * innermost, after any row lock, and never held across handler work.
+ */
+function makeSheetLayoutKey(sheetName) {
+  return `layout:${String(sheetName)}`;
+}
+
+
+/**
+ * Fences the writes of an Activity with the row lock held for its row (Activity.setFencingLock).
+ * @param {Activity} activity - Activity about to be written
+ * @param {Object|Array<Object>} locks - Lock of withRowLock, or the locks of withKeyLocks
+ * @returns {Activity} The same activity
+ */
+function fenceActivity(activity, locks) {
+  const userKey = makeRowUserKey(activity.sheet.getName(), activity.rowIndex);
+  const lock = [].concat(locks).find(l => l && l.userKey === userKey);
+  if (!lock) {
+    Logger.log(`[fenceActivity] No lock held for "${userKey}"; writes stay unfenced.`);
+    return activity;
+  }
+  return activity.setFencingLock(lock);
+}
+
 /**
  * Acquire a row-level lock (wrapper over acquireKeyLock).
  * priority: lower number = higher priority. e.g. edits=1, interval=2.
  */
-function acquireRowLock(sheetName, rowIndex, operation, priority = 2, maxWaitMs = 60000) {
+function acquireRowLock(sheetName, rowIndex, operation, priority = 2, maxWaitMs = 60000, options = {}) {
   const userKey = makeRowUserKey(sheetName, rowIndex);
-  return acquireKeyLock(userKey, `${operation}@${sheetName}#${rowIndex}`, priority, maxWaitMs);
+  return acquireKeyLock(userKey, `${operation}@${sheetName}#${rowIndex}`, priority, maxWaitMs, KEY_LOCK_MODE.EXCLUSIVE, options);
 }
 
 /** Release a row-level lock (polymorphic release already works). */
@@ -254,17 +687,23 @@ function heartbeatRowLock(lockObj) {
 
 /**
  * Run a critical section while holding a row-level lock.
- * `fn(lock, beat)` receives:
+ * `fn(lock, beat, fence)` receives:
  *  - lock: the lock object
  *  - beat(): call periodically if your work can exceed LOCK_TIMEOUT_MS
+ *  - fence(activity): rejects the activity's writes once the lock is taken over
+ * Re-entrant within one execution: a row already held (by any key-lock API) runs `fn` under the outer lock.
+ * @param {Object} [options={}] - See acquireKeyLock; request handlers pass { staleAfterMs: HANDLER_STALE_THRESHOLD_MS }
  */
-function withRowLock(sheetName, rowIndex, operation, fn, priority = 2, maxWaitMs = 60000) {
-  const lock = acquireRowLock(sheetName, rowIndex, operation, priority, maxWaitMs);
+function withRowLock(sheetName, rowIndex, operation, fn, priority = 2, maxWaitMs = 60000, options = {}) {
+  let deadlocked = false;
+  const lock = acquireRowLock(sheetName, rowIndex, operation, priority, maxWaitMs, { ...options, onDeadlock: () => { deadlocked = true; } });
   if (!lock) {
-    throw new Error(`[${operation}] Could not acquire row lock for ${sheetName}#${rowIndex} within ${maxWaitMs}ms`);
+    throw new Error(deadlocked
+      ? `[${operation}] Deadlock on row lock for ${sheetName}#${rowIndex}; aborted as victim`
+      : `[${operation}] Could not acquire row lock for ${sheetName}#${rowIndex} within ${maxWaitMs}ms`);
   }
   try {
-    return fn(lock, () => heartbeatRowLock(lock));
+    return fn(lock, () => heartbeatRowLock(lock), activity => fenceActivity(activity, lock));
   } finally {
     releaseRowLock(lock, operation);
   }